@@ -18,6 +18,16 @@ export async function run() {
 
     let start = now();
 
+    // split chunks from the read stream on newlines,
+    // carrying any partial line over to the next chunk
+    let carry = '';
+    let makeLines = new Channel((data, accept) => {
+        let lines = (carry + data.toString()).split('\n');
+        carry = lines.pop();
+        for (let line of lines)
+            accept(line);
+    });
+
     let makeArrays = new Channel(line => {
         line = line.trim();
         if (line) // drop empty lines from the channels
@@ -51,38 +61,14 @@ export async function run() {
     });
 
     log(`Reading from ${input}...`);
-    let fin = fs.createReadStream(input);
-
-    let carry = null;
-    fin.on('data', data => {
-        // split input pipe on newlines
-        let str = data.toString();
-        let lines = str.split('\n');
-        if (carry)
-            lines[0] = carry + lines[0];
-        for (let i = 0; i < lines.length - 1; i++) {
-            let line = lines[i];
-            makeArrays.put(line); // put each line on the makeArrays channel
-        }
-        carry = lines[lines.length - 1];
-    });
-    fin.on('end', () => {
-        makeArrays.close(true); // trigger a full pipe close when read stream ends
-    });
-
-    let fout = fs.createWriteStream(output);
-    makeStatements.consume(async sql => {
-        if (!fout.write(sql)) {
-            await new Promise(resolve => {
-                fout.once('drain', resolve);
-            });
-        }
-    });
+    let fin = Channel.fromReadable(fs.createReadStream(input)); // closes the full pipe when the read stream ends
 
-    makeArrays
+    fin
+        .pipe(makeLines)
+        .pipe(makeArrays)
         .pipe(makeObjects)
         .pipe(makeStatements);
-    await makeStatements.done();
+    await makeStatements.toWritable(fs.createWriteStream(output));
     log(`Wrote statements to ${output}!`);
     let end = now();
     log(`Output took ${end - start}ms`);
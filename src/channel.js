@@ -1,33 +1,119 @@
 "use strict";
 
-import { List, FixedQueue } from './data-structures.js';
+import { Duplex } from 'stream';
+import {
+    Queue, List, Stack, FixedStack, FixedQueue, DroppingBuffer, SlidingBuffer, PriorityQueue, FixedPriorityQueue
+} from './data-structures.js';
+import { clock, VirtualScheduler } from './scheduler.js';
+import { Publication } from './publication.js';
+import { Mult } from './mult.js';
+import { Mix } from './mix.js';
 let log = ::console.log; // eslint-disable-line no-unused-vars
 
 /*
-    Three possible states:
+    Four possible states:
 
-    OPEN   : The Channel can be written to and taken from freely.
-    CLOSED : The Channel can no longer be written to, but still has values to be taken.
-    ENDED  : The Channel is closed, and no longer has values to be taken.
+    OPEN    : The Channel can be written to and taken from freely.
+    CLOSED  : The Channel can no longer be written to, but still has values to be taken.
+    ENDED   : The Channel is closed, and no longer has values to be taken.
+    ERRORED : The Channel has failed, and rejects any puts or takes with its error.
 */
 export const STATES = {
-      OPEN   : Symbol('channel_open')
-    , CLOSED : Symbol('channel_closed')
-    , ENDED  : Symbol('channel_ended')
+      OPEN    : Symbol('channel_open')
+    , CLOSED  : Symbol('channel_closed')
+    , ENDED   : Symbol('channel_ended')
+    , ERRORED : Symbol('channel_errored')
 };
 
 export const ACTIONS = {
     // channel has just been closed, and has no more values to take
-    DONE   : Symbol('channel_done'),
-    CANCEL : Symbol('channel_cancel')
+    DONE    : Symbol('channel_done'),
+    CANCEL  : Symbol('channel_cancel'),
+    // a put or take gave up waiting after its timeout
+    TIMEOUT  : Symbol('channel_timeout'),
+    // a poll found no value which could be taken right away
+    NO_VALUE : Symbol('channel_no_value')
 };
 
+/*
+    The order buffered values are taken in:
+
+    FIFO : First in, first out. The oldest buffered value is taken first.
+    LIFO : Last in, first out. The newest buffered value is taken first.
+*/
+export const ORDERS = {
+    FIFO : 'fifo',
+    LIFO : 'lifo'
+};
+
+/*
+    The interface a buffer needs to implement to be used by a channel,
+    which every buffer in data-structures.js already does.
+
+    push(entry, val): Adds an entry to the end of the buffer, where `val` is the value which was put,
+                      for buffers which need to weigh or compare values. Only called while the buffer
+                      is not full, so a buffer which never blocks puts (see `DroppingBuffer`)
+                      can drop entries here.
+    shift()         : Removes and returns the next entry to be taken.
+    unshift(...entries) : Places entries which were just shifted back at the front of the buffer,
+                          in order. This may grow the buffer beyond its size.
+    full()          : Whether or not puts should wait for space in the buffer.
+    empty()         : Whether or not the buffer has no values left.
+    length          : The number of values on the buffer.
+    size            : The number of values the buffer can hold.
+
+    Optionally:
+
+    dropped         : The number of entries the buffer has dropped so far, along with `peek()`
+                      (returning the next entry to be shifted), to count and emit dropped values.
+    [Symbol.iterator]() : Iterates entries in the order they would be shifted,
+                          needed for a `concurrency` above 1.
+    remove(entry)   : Removes an entry, returning whether or not it was found,
+                      needed for a `concurrency` above 1 with `ordered: false`.
+
+    Entries are managed by the channel, and should be returned exactly as they were pushed.
+*/
+const BUFFER_METHODS = [ 'push', 'shift', 'unshift', 'full', 'empty' ];
+const BUFFER_PROPERTIES = [ 'length', 'size' ];
+
+// babel-runtime's Symbol does not know about async iteration yet,
+// so reach for the native symbol whenever the platform provides one.
+const ASYNC_ITERATOR = global.Symbol && global.Symbol.asyncIterator || Symbol.for('Symbol.asyncIterator');
+
 const SLIDER = Symbol('channel_slider');
 const STATE = Symbol('channel_state');
 const SHOULD_CLOSE = Symbol('channel_should_close');
 const IS_CONSUMING = Symbol('channel_consuming');
 const IS_FLUSHING = Symbol('channel_flushing');
 const IS_SLIDING = Symbol('channel_sliding');
+const SLIDING = Symbol('channel_sliding_pass');
+const TRANSFORMING = Symbol('channel_transforming');
+const ERROR = Symbol('channel_error');
+const ERRORS = Symbol('channel_errors');
+const STATS = Symbol('channel_stats');
+const LISTENERS = Symbol('channel_listeners');
+
+// the scheduler which all timing goes through, see `Channel.scheduler`
+let scheduler = clock;
+
+// handed to takes and `done()` waiters in place of a value
+// to signal that they should reject with the channel's error
+const FAILED = Symbol('channel_failed');
+
+// the events which can be listened for, see `Channel.on()`
+const EVENTS = [ 'put', 'take', 'drop', 'close', 'end', 'error', 'pipe', 'unpipe' ];
+
+/*
+    Gets the list of listeners for an event on a channel,
+    throwing if the event is not one of `EVENTS`.
+*/
+function listenersFor(ch: Channel, event: String) {
+    if (EVENTS.indexOf(event) === -1)
+        throw new Error(`Unknown channel event '${event}'!`);
+    if (!ch[LISTENERS][event])
+        ch[LISTENERS][event] = [];
+    return ch[LISTENERS][event];
+}
 
 /*
     Error expose method to assist with ensuring
@@ -42,15 +128,98 @@ function expose(e: Error) {
     });
 }
 
+/*
+    Calls each listener for an event on a channel with the provided arguments.
+
+    Listeners are called synchronously, as the event happens.
+    Anything they throw is exposed (rethrown from a timer) instead of
+    being thrown here, so that a listener can never leave the channel
+    in a broken state, but its errors are still reported.
+*/
+function notify(ch: Channel, event: String, ...args) {
+    let fns = ch[LISTENERS][event];
+    if (!fns || fns.length === 0)
+        return;
+    for (let fn of [ ...fns ]) {
+        try {
+            fn(...args);
+        }
+        catch(e) {
+            expose(e);
+        }
+    }
+}
+
+/*
+    Gets the value which was put for an entry on the puts list or buffer.
+*/
+function unwrap(entry: any) {
+    return entry && entry.wrapped ? entry.val : entry;
+}
+
 /*
     Marks a channel as ended, and signals any promises
     which are waiting for the end of the channel.
 */
 function finish(ch: Channel) {
+    let ending = ch[STATE] !== STATES.ENDED;
     ch[STATE] = STATES.ENDED;
     let waiting = null;
     while (waiting = ch.waiting.shift()) // eslint-disable-line no-cond-assign
         waiting();
+    if (ending)
+        notify(ch, 'end');
+}
+
+/*
+    Marks a channel as errored, rejecting any puts, tails, takes
+    and promises which are waiting on the channel,
+    and discarding anything left on the buffer.
+
+    Only the first error is kept.
+*/
+function fail(ch: Channel, e: Error) {
+    if (ch[STATE] === STATES.ERRORED)
+        return;
+    ch[STATE] = STATES.ERRORED;
+    ch[ERROR] = e;
+    notify(ch, 'error', e);
+    let put = null;
+    while (put = ch.puts.shift()) // eslint-disable-line no-cond-assign
+        put.reject(e);
+    while (put = ch.tails.shift()) // eslint-disable-line no-cond-assign
+        put.reject(e);
+    while (ch.buf && !ch.buf.empty()) {
+        ch[STATS].dropped++;
+        notify(ch, 'drop', unwrap(ch.buf instanceof Stack ? ch.buf.pop() : ch.buf.shift()));
+    }
+    let take = null;
+    while (take = ch.takes.shift()) // eslint-disable-line no-cond-assign
+        take(FAILED);
+    let waiting = null;
+    while (waiting = ch.waiting.shift()) // eslint-disable-line no-cond-assign
+        waiting(FAILED);
+}
+
+/*
+    Handles an error thrown by the transform of a put.
+
+    If the channel was given an error channel, the value and error
+    are routed there, and the value is treated as though the transform dropped it.
+    Otherwise, the put is rejected and the entire channel fails.
+
+    Returns true when the channel can continue sliding.
+*/
+function transformFailed(ch: Channel, put: Object, e: Error) {
+    if (ch[ERRORS]) {
+        ch[ERRORS].put({ value: put.val, error: e });
+        ch[STATS].dropped++;
+        notify(ch, 'drop', put.val);
+        return true;
+    }
+    put.reject(e);
+    fail(ch, e);
+    return false;
 }
 
 /*
@@ -75,7 +244,7 @@ async function flush(ch: Channel) {
     ch[IS_FLUSHING] = false;
 }
 
-function wrap(val: any, transform: Function, resolve: Function) {
+function wrap(val: any, transform: Function, resolve: Function, reject: Function = () => {}) {
     let wrapped = null;
     if (transform instanceof Function) {
         if (transform.length === 1) {
@@ -101,13 +270,15 @@ function wrap(val: any, transform: Function, resolve: Function) {
             }
             else /* transform.length === 3 */ {
                 wrapped = () => {
-                    return new Promise(res => {
-                        transform(val, acc => {
+                    return new Promise((res, rej) => {
+                        let result = transform(val, acc => {
                             if (typeof acc !== 'undefined')
                                 accepted.push(acc);
                         }, () => {
                             res(accepted);
                         });
+                        if (result instanceof Promise)
+                            result.catch(rej);
                     });
                 };
             }
@@ -119,17 +290,288 @@ function wrap(val: any, transform: Function, resolve: Function) {
     return {
         wrapped,
         resolve,
+        reject,
         transform,
         val
     };
 }
 
+/*
+    Builds the error used to reject operations
+    which were cancelled through an AbortSignal.
+*/
+function abortError() {
+    let e = new Error('The operation was aborted');
+    e.name = 'AbortError';
+    return e;
+}
+
+/*
+    Builds a minimal AbortSignal, for withdrawing operations
+    started internally, along with a function which aborts it.
+*/
+function internalSignal() {
+    let listeners = [];
+    let signal = {
+        aborted: false,
+        addEventListener: (type, fn) => listeners.push(fn),
+        removeEventListener: (type, fn) => {
+            listeners = listeners.filter(x => x !== fn);
+        }
+    };
+    let abort = () => {
+        signal.aborted = true;
+        for (let fn of listeners)
+            fn();
+    };
+    return { signal, abort };
+}
+
+/*
+    Withdraws a pending put, tail or take from its list
+    when the provided AbortSignal is aborted (rejecting it),
+    or when the provided timeout elapses (resolving it with `ACTIONS.TIMEOUT`).
+    Either only happens if the entry was still waiting in the list.
+
+    Once an entry has been removed from its list by the channel,
+    it is on its way to being delivered, and aborting does nothing.
+
+    Returns a function which detaches from the signal and clears the timer,
+    to be called once the entry has settled.
+*/
+function cancellable(list: List, entry: any, { signal, timeout: delay }, reject: Function, resolve: Function) {
+    let timer = null;
+    let abort = () => {
+        if (list.remove(entry))
+            reject(abortError());
+    };
+    if (signal)
+        signal.addEventListener('abort', abort);
+    if (typeof delay === 'number') {
+        timer = scheduler.setTimeout(() => {
+            if (list.remove(entry))
+                resolve(ACTIONS.TIMEOUT);
+        }, delay);
+    }
+    return () => {
+        if (signal)
+            signal.removeEventListener('abort', abort);
+        scheduler.clearTimeout(timer);
+    };
+}
+
+/*
+    Starts the transform of a wrapped value, if it has not been started yet,
+    returning a promise for the transformed value.
+*/
+function startTransform(entry: Object) {
+    if (!entry.running) {
+        entry.running = entry.wrapped();
+        entry.running.catch(() => {}); // handled once the value is delivered
+    }
+    return entry.running;
+}
+
+/*
+    Starts the transforms of the first wrapped values in `queue`,
+    without running more transforms at once than the concurrency of the channel
+    (counting values which already left `queue` but are still transforming).
+
+    Puts owned by a `Channel.select()` are left alone,
+    since they may still be retracted.
+
+    Returns the values at the front of `queue` whose transforms are running.
+*/
+function startWindow(ch: Channel, queue: Queue) {
+    let window = [];
+    for (let entry of queue) {
+        if (window.length >= ch.concurrency)
+            break;
+        if (entry && entry.wrapped && !entry.claim)
+            window.push(entry);
+    }
+    let settled = () => {
+        ch[TRANSFORMING]--;
+    };
+    for (let entry of window) {
+        if (!entry.running && ch[TRANSFORMING] < ch.concurrency) {
+            ch[TRANSFORMING]++;
+            startTransform(entry).then(settled, settled);
+        }
+    }
+    return window.filter(x => x.running);
+}
+
+/*
+    Counts a value which was put onto the channel
+    as it is accepted by the channel.
+*/
+function putOnto(ch: Channel, val: any) {
+    ch[STATS].put++;
+    notify(ch, 'put', val);
+}
+
+/*
+    Lets any `Channel.select()` which owns a put removed from the channel
+    know that it has been committed to, and counts the value as put
+    the first time it leaves the puts of the channel.
+
+    Values which are withdrawn while waiting are never counted.
+*/
+function acceptPut(ch: Channel, put: Object) {
+    if (put.claim)
+        put.claim();
+    if (put.accepting) {
+        put.accepting = false;
+        putOnto(ch, put.val);
+    }
+}
+
+/*
+    Removes the next wrapped value to be delivered from `queue`,
+    using `shift` to take the first value.
+
+    For channels with a concurrency, the transforms of the values
+    waiting at the front of the queue are started ahead of time.
+    Unordered channels then deliver whichever value finishes
+    transforming first, rather than the first value.
+
+    Resolves with undefined if the queue was emptied while waiting.
+*/
+async function nextEntry(ch: Channel, queue: Queue, shift: Function) {
+    if (ch.concurrency > 1) {
+        let window = startWindow(ch, queue);
+        while (!ch.ordered && window.length > 0) {
+            let first = await Promise.race(window.map(x => x.running.then(() => x, () => x)));
+            if (queue.remove(first)) {
+                if (queue === ch.puts)
+                    acceptPut(ch, first);
+                return first;
+            }
+            window = startWindow(ch, queue); // withdrawn while transforming, so try again
+        }
+    }
+    return queue.empty() ? undefined : shift();
+}
+
+/*
+    Counts the outcome of a wrapped value which finished transforming,
+    whether it was transformed, dropped, or expanded through `accept`.
+
+    Values re-wrapped by the channel itself (such as those expanded
+    from a single put) are not counted as transformed a second time.
+*/
+function tally(ch: Channel, entry: Object, val: any) {
+    let stats = ch[STATS];
+    if (entry.transform && entry.transform === ch.transform)
+        stats.transformed++;
+    if (val instanceof List) {
+        stats.expanded += val.length;
+        if (val.length === 0) {
+            stats.dropped++;
+            notify(ch, 'drop', entry.val);
+        }
+    }
+    else if (typeof val === 'undefined') {
+        stats.dropped++;
+        notify(ch, 'drop', entry.val);
+    }
+}
+
+/*
+    Hands a value to the first take waiting on the channel,
+    or to a take which was already removed from the channel.
+*/
+function handOff(ch: Channel, val: any, take: Function = ch.takes.shift()) {
+    ch[STATS].taken++;
+    take(val);
+    notify(ch, 'take', val);
+}
+
+/*
+    Pushes a put onto the buffer of the channel,
+    letting listeners know if a buffer which counts what it drops dropped a value
+    (the put itself for a DroppingBuffer, or the oldest value for a SlidingBuffer).
+*/
+function bufferPut(ch: Channel, put: Object) {
+    let dropped = ch.buf.dropped;
+    let oldest = typeof dropped === 'number' ? ch.buf.peek() : undefined;
+    ch.buf.push(put, put.val);
+    if (ch.buf.dropped > dropped)
+        notify(ch, 'drop', unwrap(ch.buf.peek() === oldest ? put : oldest));
+}
+
+/*
+    Adds the time a put or take spent waiting on the channel
+    to the time the channel has spent blocked.
+*/
+function unblock(ch: Channel, kind: String, entry: any) {
+    ch[STATS].blocked[kind] += scheduler.now() - entry.queued;
+}
+
+/*
+    Removes the next value to be taken from the buffer of the channel,
+    which is the first value of a queue, or the top of a stack.
+*/
+function nextBuffered(ch: Channel) {
+    return ch.buf instanceof Stack ? ch.buf.pop() : ch.buf.shift();
+}
+
+/*
+    Places values back onto the buffer of the channel, to be taken next
+    (in the order they are provided) ahead of anything else on the buffer.
+
+    This is used for values which were just removed from the buffer,
+    so it can expand beyond the actual buffer size when a transform
+    accepts more than one value.
+*/
+function returnBuffered(ch: Channel, ...vals) {
+    if (ch.buf instanceof Stack) {
+        // skips the size check of FixedStack#push, for the reason above
+        for (let val of vals.reverse())
+            Stack.prototype.push.call(ch.buf, val);
+    }
+    else
+        ch.buf.unshift(...vals);
+}
+
+/*
+    Shifts the next put off of the channel,
+    letting any `Channel.select()` which owns the put
+    know that it has been committed to.
+*/
+function shiftPut(ch: Channel) {
+    let put = ch.puts.shift();
+    acceptPut(ch, put);
+    return put;
+}
+
+/*
+    Moves puts onto the buffer of the channel while it has space.
+*/
+function fillBuffer(ch: Channel) {
+    while (!ch.puts.empty() && !ch.buf.full()) {
+        let put = shiftPut(ch);
+        bufferPut(ch, put);
+        put.resolve();
+    }
+}
+
 async function _bufferedSlide(ch: Channel) {
     while (!ch.buf.empty() && !ch.takes.empty()) {
-        let buf = ch.buf.shift();
+        let buf = await nextEntry(ch, ch.buf, () => nextBuffered(ch));
         let val = null;
-        if (buf && buf.wrapped)
-            val = await buf.wrapped();
+        if (buf && buf.wrapped) {
+            try {
+                val = await startTransform(buf);
+                tally(ch, buf, val);
+            }
+            catch(e) {
+                if (!transformFailed(ch, buf, e))
+                    return;
+                val = undefined; // routed to the error channel, so treat it as dropped
+            }
+        }
         else
             val = buf; // this is a special case caused by `from`. can we get rid of the need for this?
         if (typeof val !== 'undefined') {
@@ -139,8 +581,10 @@ async function _bufferedSlide(ch: Channel) {
                     buf.resolve();
                 else if (accepted.length === 1) {
                     buf.resolve();
-                    let take = ch.takes.shift();
-                    take(accepted[0]);
+                    if (ch.takes.empty())
+                        returnBuffered(ch, wrap(accepted[0], null, () => {}));
+                    else
+                        handOff(ch, accepted[0]);
                 }
                 else /* accepted.length > 1 */ {
                     let count = 0;
@@ -169,40 +613,50 @@ async function _bufferedSlide(ch: Channel) {
 
                     // what to do, what to do... try to hammer out the inconsistency at some point.
 
-                    ch.buf.unshift(...wrappers); // this can expand beyond the actual buffer size. unintuitive?
+                    returnBuffered(ch, ...wrappers); // this can expand beyond the actual buffer size. unintuitive?
                 }
             }
-            else {
-                let take = ch.takes.shift();
-                take(val);
-            }
+            else if (ch.takes.empty()) // the take was withdrawn while we were transforming
+                returnBuffered(ch, wrap(val, null, () => {}));
+            else
+                handOff(ch, val);
         }
         if (!ch.puts.empty() && !ch.buf.full()) {
-            let put = ch.puts.shift();
-            ch.buf.push(put);
+            let put = shiftPut(ch);
+            bufferPut(ch, put);
             put.resolve();
         }
     }
-    while (!ch.puts.empty() && !ch.buf.full()) {
-        let put = ch.puts.shift();
-        ch.buf.push(put);
-        put.resolve();
-    }
+    fillBuffer(ch);
 }
 
 async function _slide(ch: Channel) {
     while (!ch.takes.empty() && !ch.puts.empty()) {
-        let put = ch.puts.shift();
-        let val = await put.wrapped();
+        let put = await nextEntry(ch, ch.puts, () => shiftPut(ch));
+        if (!put)
+            return;
+        let val = null;
+        try {
+            val = await startTransform(put);
+            tally(ch, put, val);
+        }
+        catch(e) {
+            if (!transformFailed(ch, put, e))
+                return;
+            val = undefined; // routed to the error channel, so treat it as dropped
+        }
         if (typeof val !== 'undefined') {
             if (val instanceof List) { // need a way to distinguish this as a "special" array return
                 let accepted = [ ...val ];
                 if (accepted.length === 0)
                     put.resolve();
                 else if (accepted.length === 1) {
-                    put.resolve();
-                    let take = ch.takes.shift();
-                    take(accepted[0]);
+                    if (ch.takes.empty())
+                        ch.puts.unshift(wrap(accepted[0], null, put.resolve, put.reject));
+                    else {
+                        put.resolve();
+                        handOff(ch, accepted[0]);
+                    }
                 }
                 else /* val.length > 1 */ {
                     let count = 0;
@@ -211,14 +665,15 @@ async function _slide(ch: Channel) {
                         if (count === accepted.length)
                             put.resolve();
                     };
-                    let wrappers = accepted.map(acc => wrap(acc, x => x, counter));
+                    let wrappers = accepted.map(acc => wrap(acc, x => x, counter, put.reject));
                     ch.puts.unshift(...wrappers);
                 }
             }
+            else if (ch.takes.empty()) // the take was withdrawn while we were transforming
+                ch.puts.unshift(wrap(val, null, put.resolve, put.reject));
             else {
                 put.resolve();
-                let take = ch.takes.shift();
-                take(val);
+                handOff(ch, val);
             }
         }
         else {
@@ -233,9 +688,7 @@ function canSlide(ch: Channel) {
         : !ch.takes.empty() && !ch.puts.empty();
 }
 
-async function slide(ch: Channel) {
-    if (ch[IS_SLIDING])
-        return;
+async function sliding(ch: Channel) {
     ch[IS_SLIDING] = true;
 
     while (canSlide(ch))
@@ -254,410 +707,2399 @@ async function slide(ch: Channel) {
     ch[IS_SLIDING] = false;
 }
 
-export function timeout(delay = 0) {
-    return new Promise((resolve) => {
-        setTimeout(resolve, delay);
-    });
+/*
+    Moves puts made while the channel is sliding onto its buffer right away,
+    and starts their transforms (up to the concurrency of the channel)
+    if a take is waiting, rather than leaving them until the value
+    currently transforming has been delivered.
+*/
+function fillWindow(ch: Channel) {
+    if (ch.buf)
+        fillBuffer(ch);
+    if (ch.concurrency > 1 && !ch.takes.empty())
+        startWindow(ch, ch.buf || ch.puts);
 }
 
-export default class Channel {
-
-    // A List containing any puts which could not be placed directly onto the buffer
-    puts: List;
+/*
+    Starts sliding values from puts to takes, if the channel is not already sliding.
 
-    // A List containing any takes waiting for values to be provided
-    takes: List;
+    Returns a promise for the current sliding pass, which will also
+    pick up any puts and takes added to the channel while it runs.
+*/
+function slide(ch: Channel) {
+    if (!ch[IS_SLIDING])
+        ch[SLIDING] = sliding(ch);
+    else
+        fillWindow(ch);
+    return ch[SLIDING];
+}
 
-    // A FixedQueue containing values ready to be taken.
-    buf: FixedQueue;
+/*
+    Lists anything a buffer is missing from the interface a channel needs from it
+    (see `BUFFER_METHODS` and `BUFFER_PROPERTIES`), along with anything needed
+    by the `concurrency` and `ordered` options of the channel.
 
-    // An optional function to used to transform values passing through the channel.
-    transform: Function;
+    A `Stack` is taken from with `pop()` instead of `shift()`,
+    and does not need `unshift()`.
+*/
+function missingFromBuffer(buf: Object, { concurrency, ordered }) {
+    let methods = buf instanceof Stack
+        ? BUFFER_METHODS.filter(x => x !== 'shift' && x !== 'unshift').concat('pop')
+        : BUFFER_METHODS;
+    let missing = methods.filter(x => typeof buf[x] !== 'function');
+    missing.push(...BUFFER_PROPERTIES.filter(x => typeof buf[x] !== 'number'));
+    if (typeof buf.dropped !== 'undefined' && typeof buf.peek !== 'function')
+        missing.push('peek');
+    if (concurrency > 1 && typeof buf[Symbol.iterator] !== 'function')
+        missing.push('[Symbol.iterator]');
+    if (concurrency > 1 && !ordered && typeof buf.remove !== 'function')
+        missing.push('remove');
+    return missing;
+}
 
-    // An optional pipeline of channels, to be used to pipe values
-    // from one channel to multiple others.
-    pipeline: Array<Channel>;
+/*
+    Determines whether a constructor argument is a buffer,
+    which is anything implementing the whole buffer interface
+    (see `BUFFER_METHODS` and `BUFFER_PROPERTIES`).
+*/
+function isBuffer(arg: any) {
+    if (arg === null || typeof arg !== 'object')
+        return false;
+    return missingFromBuffer(arg, {}).length === 0;
+}
 
-    // An optional array of promises, to be resolved when the channel is marked as finished.
-    waiting: Array<Promise>;
+/*
+    Determines whether a constructor argument is a plain object of options.
+*/
+function isOptions(arg: any) {
+    return arg !== null && typeof arg === 'object' && Object.getPrototypeOf(arg) === Object.prototype && !isBuffer(arg);
+}
 
-    /*
-        Default constructor for a Channel.
+/*
+    Determines whether a put could be accepted right away,
+    by either a waiting take or free space on the buffer.
+*/
+function canPut(ch: Channel) {
+    return ch.puts.empty() && (!ch.takes.empty() || Boolean(ch.buf) && !ch.buf.full());
+}
 
-        Accepts an optional size for the internal buffer,
-        and an optional transform function to be used by the Channel.
+/*
+    Determines whether a take could receive a value right away,
+    without waiting on another process to put one.
+*/
+function canTake(ch: Channel) {
+    return ch.takes.empty() && !ch.empty();
+}
 
-        Examples:
-            new Channel()              -> Non buffered channel, no transform
-            new Channel(x => x * 2)    -> Non buffered channel, with transform
-            new Channel(8)             -> Buffered channel, no transform
-            new Channel(8, x => x * 2) -> Buffered channel, with transform
-    */
-    constructor(... argv) {
-        let size = null;
-        let transform = null;
-        if (typeof argv[0] === 'function')
-            transform = argv[0];
-        if (typeof argv[0] === 'number') {
-            size = argv[0];
-            if (argv[1] && typeof argv[1] === 'function')
-                transform = argv[1];
-        }
-        this.puts      = new List();
-        this.tails     = new List();
-        this.takes     = new List();
-        this.transform = transform;
-        this.pipeline  = [];
-        this.waiting   = [];
-        this[STATE]    = STATES.OPEN;
+/*
+    Transforms a value offered to a take which was already removed
+    from the channel, so that the take can no longer be withdrawn.
+    A take owned by a `Channel.select()` commits the select straight away,
+    withdrawing its other operations before they can receive anything.
 
-        if (size) {
-            this.buf = new FixedQueue(size);
-            this[SLIDER] = _bufferedSlide;
-        }
-        else
-            this[SLIDER] = _slide;
+    If the transform drops the value, the take is placed back
+    at the front of the channel to wait for the next value.
+*/
+async function offerTo(ch: Channel, take: Function, put: Object) {
+    if (take.claim)
+        take.claim();
+    let val = null;
+    try {
+        val = await startTransform(put);
+        tally(ch, put, val);
     }
-
-    /*
-        A helper constructor which will convert any iterable into a channel,
-        placing all of the iterable's values onto that channel.
-    */
-    static from(iterable, keepOpen = false) {
-        let arr = [ ...iterable ];
-        let ch = new Channel(arr.length);
-        for (let val of arr)
-            ch.buf.push(val);
-        if (!keepOpen)
-            ch.close(true);
-        return ch;
+    catch(e) {
+        if (!transformFailed(ch, put, e))
+            return take(FAILED);
+        val = undefined; // routed to the error channel, so treat it as dropped
     }
-
-    /*
-        Sets the state of the channel.
-    */
-    set state(val) {
-        this[STATE] = val;
+    let accepted = val instanceof List ? [ ...val ] : [ val ];
+    if (typeof accepted[0] === 'undefined') {
+        ch.takes.unshift(take);
+        return slide(ch);
     }
-
-    /*
-        Gets the state of the channel.
-    */
-    get state() {
-        return this[STATE];
+    handOff(ch, accepted[0], take);
+    if (accepted.length > 1) {
+        ch.puts.unshift(...accepted.slice(1).map(acc => wrap(acc, x => x, () => {})));
+        return slide(ch);
     }
+}
 
-    /*
-        Gets the length of the channel,
-        which is interpreted as the current length of the buffer
-        added to any puts which are waiting for space in the buffer.
-    */
-    get length() {
-        if (this.buf)
-            return this.buf.length + this.puts.length;
-        return this.puts.length;
-    }
+/*
+    Removes the next value straight from the buffer or the puts of the channel
+    for `Channel.poll()`, transforming it as a take would.
 
-    /*
-        Gets the size of the channel,
-        which is interpreted as the size of the buffer.
-    */
-    get size() {
-        return this.buf ? this.buf.size : undefined;
-    }
+    Any values expanded by the transform beyond the first
+    are placed back on the channel to be taken next.
+
+    Resolves with `ACTIONS.NO_VALUE` if the transform dropped the value,
+    or with FAILED if the transform failed the channel.
+*/
+async function pollEntry(ch: Channel) {
+    let buffered = Boolean(ch.buf) && !ch.buf.empty();
+    let entry = buffered ? nextBuffered(ch) : shiftPut(ch);
+    if (buffered)
+        fillBuffer(ch);
+    let val = entry;
+    if (entry && entry.wrapped) {
+        try {
+            val = await startTransform(entry);
+            tally(ch, entry, val);
+        }
+        catch(e) {
+            if (!transformFailed(ch, entry, e))
+                return FAILED;
+            val = undefined; // routed to the error channel, so treat it as dropped
+        }
+        let accepted = val instanceof List ? [ ...val ] : [ val ];
+        val = accepted[0];
+        if (accepted.length > 1) {
+            let count = 1;
+            let counter = () => {
+                count++;
+                if (count === accepted.length)
+                    entry.resolve();
+            };
+            let wrappers = accepted.slice(1).map(acc => wrap(acc, x => x, counter, entry.reject));
+            if (buffered)
+                returnBuffered(ch, ...wrappers);
+            else
+                ch.puts.unshift(...wrappers);
+        }
+        else
+            entry.resolve();
+    }
+    if (typeof val === 'undefined')
+        return ACTIONS.NO_VALUE;
+    ch[STATS].taken++;
+    notify(ch, 'take', val);
+    return val;
+}
+
+/*
+    Puts each value produced by an async iterable onto the provided channel,
+    waiting for the put to resolve before moving on to the next value.
+*/
+function fromAsync(ch: Channel, iterable: Object, keepOpen: Boolean) {
+    (async() => {
+        try {
+            let iterator = iterable[ASYNC_ITERATOR]();
+            for (let step = await iterator.next(); !step.done; step = await iterator.next()) {
+                if (await ch.put(step.value) === ACTIONS.DONE) {
+                    if (iterator.return)
+                        await iterator.return();
+                    break;
+                }
+            }
+            if (!keepOpen)
+                ch.close(true);
+        }
+        catch(e) {
+            fail(ch, e);
+        }
+    })();
+    return ch;
+}
+
+/*
+    Detaches an operator channel which has seen enough values from its parent,
+    closing it (along with its own pipeline) once its last value is taken.
+
+    The parent is closed as well if nothing else is piped from it,
+    so that anything producing values for it stops.
+*/
+function releaseOperator(parent: Channel, child: Channel) {
+    parent.unpipe(child);
+    child.close(true);
+    if (parent.pipeline.length === 0)
+        parent.close();
+}
+
+/*
+    Takes values from `ch` into arrays of up to `size` values,
+    putting each array onto `out` once it is full,
+    or once `maxWait` ms have passed since its first value.
+
+    When `ch` ends, any partial batch is put before `out` is closed.
+    If `ch` fails, `out` fails with the same error.
+*/
+async function batching(ch: Channel, out: Channel, size: Number, maxWait: Number) {
+    let batch = [];
+    let deadline = 0;
+    try {
+        while (out.state === STATES.OPEN) {
+            let val = ACTIONS.TIMEOUT;
+            if (batch.length === 0 || typeof maxWait !== 'number')
+                val = await ch.take();
+            else if (deadline > scheduler.now())
+                val = await ch.take({ timeout: deadline - scheduler.now() });
+            if (val === ACTIONS.DONE)
+                break;
+            if (val !== ACTIONS.TIMEOUT) {
+                if (batch.length === 0)
+                    deadline = scheduler.now() + maxWait;
+                batch.push(val);
+            }
+            if (val === ACTIONS.TIMEOUT || batch.length >= size) {
+                let full = batch;
+                batch = [];
+                await out.put(full);
+            }
+        }
+        if (batch.length > 0)
+            await out.put(batch);
+        out.close(true);
+    }
+    catch(e) {
+        fail(out, e);
+    }
+}
+
+/*
+    Takes values from `ch` into windows of `size` values,
+    starting a new window every `every` values,
+    and putting each window onto `out` once it is full.
+
+    When `ch` ends, any partial windows are put before `out` is closed.
+    If `ch` fails, `out` fails with the same error.
+*/
+async function windowing(ch: Channel, out: Channel, size: Number, every: Number) {
+    let windows = [];
+    let count = 0;
+    try {
+        let val = await ch.take();
+        while (val !== ACTIONS.DONE && out.state === STATES.OPEN) {
+            if (count % every === 0)
+                windows.push([]);
+            count++;
+            for (let window of windows)
+                window.push(val);
+            if (windows.length > 0 && windows[0].length >= size)
+                await out.put(windows.shift());
+            val = await ch.take();
+        }
+        for (let window of windows)
+            await out.put(window);
+        out.close(true);
+    }
+    catch(e) {
+        fail(out, e);
+    }
+}
+
+/*
+    Builds a `put` function for the time operators, which puts values onto `out`
+    one at a time, each waiting for the put before it to settle.
+    A put which fails fails `out` with the same error.
+
+    `settled` returns a promise for the last put to settle.
+*/
+function serialPuts(out: Channel) {
+    let last = Promise.resolve();
+    let put = val => {
+        last = last.then(() => out.put(val)).catch(e => fail(out, e));
+    };
+    return { put, settled: () => last };
+}
+
+/*
+    Takes values from `ch` until it ends (or `out` is no longer open),
+    handing each one to `step`. The next value is only taken once
+    any puts made through `serialPuts` have settled.
+
+    Afterwards, `stop` is called to clear any timers, and once the
+    promise returned by `end` and the last put have resolved,
+    `out` is closed along with its pipeline.
+    If `ch` fails, `out` fails with the same error before `stop` is called.
+*/
+async function timed(ch: Channel, out: Channel, { step, stop, end, settled }) {
+    try {
+        let val = await ch.take();
+        while (val !== ACTIONS.DONE && out.state === STATES.OPEN) {
+            step(val);
+            await settled();
+            val = await ch.take();
+        }
+        stop();
+        await end();
+        await settled();
+        if (out.state !== STATES.ERRORED)
+            out.close(true);
+    }
+    catch(e) {
+        fail(out, e);
+        stop();
+    }
+}
+
+/*
+    Places a value which was taken from the channel back at the front of it,
+    to be taken next. The value is not counted as taken until it is taken again.
+
+    Channels which have already ended or failed can not take the value back,
+    so it is discarded.
+*/
+function returnTaken(ch: Channel, val: any) {
+    if (ch.state === STATES.ENDED || ch.state === STATES.ERRORED)
+        return;
+    ch[STATS].taken--;
+    let entry = wrap(val, null, () => {});
+    if (ch.buf)
+        returnBuffered(ch, entry);
+    else
+        ch.puts.unshift(entry);
+    slide(ch);
+}
+
+/*
+    Takes one value from each of the channels at once.
+
+    Resolves with an array of the values, or with `ACTIONS.DONE`
+    as soon as any of the channels ends. Rejects as soon as any
+    of the channels fails. Either way, the takes still waiting
+    on the other channels are withdrawn, and any values already
+    taken from them are placed back on their channels.
+*/
+function takeAll(channels: Array<Channel>) {
+    let { signal, abort } = internalSignal();
+    return new Promise((resolve, reject) => {
+        let vals = [];
+        let count = 0;
+        let settled = false;
+        let stop = () => {
+            settled = true;
+            abort();
+            vals.forEach((val, index) => returnTaken(channels[index], val));
+        };
+        if (channels.length === 0)
+            resolve(ACTIONS.DONE);
+        channels.forEach((ch, index) => {
+            ch.take({ signal }).then(val => {
+                if (settled) {
+                    if (val !== ACTIONS.DONE) // handed over before the take could be withdrawn
+                        returnTaken(ch, val);
+                    return;
+                }
+                if (val === ACTIONS.DONE) {
+                    stop();
+                    resolve(val);
+                    return;
+                }
+                vals[index] = val;
+                count++;
+                if (count === channels.length)
+                    resolve(vals);
+            }, e => {
+                if (settled)
+                    return;
+                stop();
+                reject(e);
+            });
+        });
+    });
+}
+
+/*
+    Adds a value to a collection for `Channel.into()`,
+    returning the collection.
+
+    Maps and plain objects expect `[ key, value ]` pairs.
+*/
+function collect(collection: Object, val: any) {
+    if (collection instanceof Map)
+        collection.set(...val);
+    else if (collection instanceof Set)
+        collection.add(val);
+    else if (Array.isArray(collection))
+        collection.push(val);
+    else
+        collection[val[0]] = val[1];
+    return collection;
+}
+
+/*
+    Puts an increasing count onto a channel, with the first put
+    after `delay` ms and each following put `period` ms after the
+    previous one was accepted. Without a period, the channel closes
+    after the first put.
+
+    Stops once the channel is no longer open.
+*/
+function ticking(ch: Channel, delay: Number, period: Number, time: Object) {
+    let count = 0;
+    let next = () => {
+        if (ch.state !== STATES.OPEN)
+            return;
+        ch.put(count++).then(val => {
+            if (typeof period !== 'number')
+                ch.close(true);
+            else if (val !== ACTIONS.DONE)
+                time.setTimeout(next, period);
+        }, () => {});
+    };
+    time.setTimeout(next, delay);
+    return ch;
+}
+
+// exposed so that buffers with overflow strategies can be passed into the constructor
+export { DroppingBuffer, SlidingBuffer, PriorityQueue, FixedPriorityQueue, FixedStack };
+
+export { clock, VirtualScheduler };
+
+export { Publication } from './publication.js';
+
+export { Mult, POLICIES } from './mult.js';
+
+export { Mix, SOLO_MODES } from './mix.js';
+
+export function timeout(delay = 0) {
+    return new Promise((resolve) => {
+        scheduler.setTimeout(resolve, delay);
+    });
+}
+
+export default class Channel {
+
+    // A List containing any puts which could not be placed directly onto the buffer
+    puts: List;
+
+    // A List containing any takes waiting for values to be provided
+    takes: List;
+
+    // A FixedQueue (or one of its dropping / sliding / priority variants),
+    // or a FixedStack for LIFO channels, containing values ready to be taken.
+    buf: FixedQueue | FixedStack;
+
+    // An optional function to used to transform values passing through the channel.
+    transform: Function;
+
+    // The number of values which can be transformed at once.
+    concurrency: Number;
+
+    // Whether or not values transformed concurrently are delivered in the order they were put.
+    ordered: Boolean;
+
+    // An optional comparator used to order the puts and buffer of the channel.
+    priority: Function;
+
+    // An optional pipeline of channels, to be used to pipe values
+    // from one channel to multiple others.
+    pipeline: Array<Channel>;
+
+    // An optional array of promises, to be resolved when the channel is marked as finished.
+    waiting: Array<Promise>;
+
+    /*
+        Default constructor for a Channel.
+
+        Accepts an optional size for the internal buffer (or the buffer itself),
+        an optional transform function to be used by the Channel,
+        and an optional object of options as the last argument.
+
+        Options:
+            size        : The size of the internal buffer.
+            buffer      : The buffer itself, in place of a size. Any object implementing
+                          the interface described by `BUFFER_METHODS` can be used.
+            transform   : The transform function.
+            errors      : A channel to receive `{ value, error }` whenever the transform throws,
+                          instead of failing the entire channel.
+            concurrency : The number of values which can be transformed at once (defaults to 1).
+                          Without a size or buffer, a concurrency above 1 also sizes the buffer,
+                          so that producers waiting on each put can keep that many values transforming.
+            ordered     : Whether or not concurrently transformed values keep the order
+                          they were put in (defaults to true).
+            priority    : A comparator (as used by `Array#sort`) for the values put onto the channel.
+                          Buffered values and waiting puts are taken in that order instead of
+                          the order they were put in, which is kept for values that compare as equal.
+            order       : One of `ORDERS`, for the order buffered values are taken in (defaults to FIFO).
+                          A LIFO channel buffers values on a `FixedStack`, so takes receive the newest
+                          buffered value. Waiting puts still move onto the buffer in the order they were put.
+
+        Examples:
+            new Channel()                       -> Non buffered channel, no transform
+            new Channel(x => x * 2)             -> Non buffered channel, with transform
+            new Channel(8)                      -> Buffered channel, no transform
+            new Channel(8, x => x * 2)          -> Buffered channel, with transform
+            new Channel(new SlidingBuffer(8))   -> Buffered channel which never blocks puts, keeping the newest values
+            new Channel(new DroppingBuffer(8))  -> Buffered channel which never blocks puts, keeping the oldest values
+            new Channel(x => x * 2, { errors }) -> Non buffered channel, routing transform errors onto `errors`
+            new Channel({ size: 8, transform }) -> Buffered channel, with transform
+            new Channel(8, { priority })        -> Buffered channel, taking values in order of priority
+            new Channel(8, { order: 'lifo' })   -> Buffered channel, taking the newest buffered value first
+    */
+    constructor(... argv) {
+        let options = {};
+        if (isOptions(argv[argv.length - 1]))
+            options = argv.pop();
+        let size = options.size || null;
+        let buf = options.buffer || null;
+        let transform = options.transform || null;
+        let priority = options.priority || null;
+        let byPriority = (a, b) => priority(unwrap(a), unwrap(b));
+        let order = options.order || ORDERS.FIFO;
+        if (order !== ORDERS.FIFO && order !== ORDERS.LIFO)
+            throw new Error(`Unknown channel order '${order}'!`);
+        if (order === ORDERS.LIFO && priority)
+            throw new Error('A Channel cannot have both a priority and a LIFO order!');
+        if (typeof argv[0] === 'function')
+            transform = argv[0];
+        if (typeof argv[0] === 'number' || isBuffer(argv[0])) {
+            if (typeof argv[0] !== 'number')
+                buf = argv[0];
+            else
+                size = argv[0];
+            if (argv[1] && typeof argv[1] === 'function')
+                transform = argv[1];
+        }
+        this.puts        = priority ? new PriorityQueue(byPriority) : new List();
+        this.tails       = new List();
+        this.takes       = new List();
+        this.transform   = transform;
+        this.concurrency = options.concurrency || 1;
+        this.ordered     = options.ordered !== false;
+        this.priority    = priority;
+        this.pipeline    = [];
+        this.waiting     = [];
+        this[STATE]      = STATES.OPEN;
+        this[TRANSFORMING] = 0;
+        this[ERRORS]     = options.errors || null;
+        this[LISTENERS]  = {};
+        this[STATS]      = { put: 0, taken: 0, dropped: 0, transformed: 0, expanded: 0, blocked: { puts: 0, takes: 0 } };
+
+        if (!size && !buf && this.concurrency > 1)
+            size = this.concurrency;
+        if (size) {
+            if (priority)
+                buf = new FixedPriorityQueue(size, byPriority);
+            else if (order === ORDERS.LIFO)
+                buf = new FixedStack(size);
+            else
+                buf = new FixedQueue(size);
+        }
+        if (buf) {
+            let missing = missingFromBuffer(buf, this);
+            if (missing.length > 0)
+                throw new Error(`Channel buffers must implement ${missing.join(', ')}!`);
+            this.buf = buf;
+            this[SLIDER] = _bufferedSlide;
+        }
+        else
+            this[SLIDER] = _slide;
+    }
+
+    /*
+        A helper constructor which will convert any iterable into a channel,
+        placing all of the iterable's values onto that channel.
+
+        Async iterables (such as async generators) are also accepted.
+        Their values are put onto a non buffered channel
+        as they are produced, waiting for each put to resolve
+        before asking the iterable for the next value.
+    */
+    static from(iterable, keepOpen = false) {
+        if (!iterable[Symbol.iterator] && iterable[ASYNC_ITERATOR])
+            return fromAsync(new Channel(), iterable, keepOpen);
+        let arr = [ ...iterable ];
+        let ch = new Channel(arr.length);
+        for (let val of arr) {
+            ch.buf.push(val);
+            putOnto(ch, val);
+        }
+        if (!keepOpen)
+            ch.close(true);
+        return ch;
+    }
+
+    /*
+        Builds a channel which receives the first argument of each `event`
+        emitted by an EventEmitter or dispatched by an EventTarget.
+
+        Options:
+            endEvent   : An event which closes the channel (along with its pipeline).
+            errorEvent : An event which fails the channel with its first argument.
+
+        Any other options are passed to the constructor, such as a
+        `buffer` for deciding what happens when values arrive faster than
+        they are taken. Without one, puts wait on the channel in order.
+
+        Listeners are removed once the end or error event arrives,
+        or at the next event once the channel is no longer open.
+    */
+    static fromEvent(emitter: Object, event: String, { endEvent, errorEvent, ...options } = {}) {
+        let ch = new Channel(options);
+        let listeners = [];
+        let listen = (name, fn) => {
+            if (emitter.addEventListener)
+                emitter.addEventListener(name, fn);
+            else
+                emitter.on(name, fn);
+            listeners.push([ name, fn ]);
+        };
+        let detach = () => {
+            for (let [ name, fn ] of listeners) {
+                if (emitter.removeEventListener)
+                    emitter.removeEventListener(name, fn);
+                else
+                    emitter.removeListener(name, fn);
+            }
+        };
+        listen(event, val => {
+            if (ch.state === STATES.OPEN)
+                ch.put(val).catch(() => {});
+            else
+                detach();
+        });
+        if (endEvent) {
+            listen(endEvent, () => {
+                detach();
+                ch.close(true);
+            });
+        }
+        if (errorEvent) {
+            listen(errorEvent, e => {
+                detach();
+                fail(ch, e);
+            });
+        }
+        return ch;
+    }
+
+    /*
+        Builds a channel which receives the value of a promise, and then closes
+        (along with its pipeline), using any provided arguments in the same way
+        as the constructor. If the promise rejects, the channel fails with its error.
+    */
+    static fromPromise(promise: Promise, ...argv) {
+        let ch = new Channel(...argv);
+        promise.then(val => {
+            ch.put(val).catch(() => {});
+            ch.close(true);
+        }, e => fail(ch, e));
+        return ch;
+    }
+
+    /*
+        Builds a channel which receives an increasing count (starting from 0) every `ms`.
+
+        Each count is only scheduled once the previous one was accepted,
+        so a slow taker slows the interval down, unless the channel
+        is given a `buffer` (or `size`) in the options to fill up instead.
+        Also accepts a `clock` in place of `Channel.scheduler`.
+
+        Stops once the channel is closed.
+    */
+    static interval(ms: Number, { clock: time = scheduler, ...options } = {}) {
+        return ticking(new Channel(options), ms, ms, time);
+    }
+
+    /*
+        Builds a channel which receives an increasing count (starting from 0),
+        first after `delay` ms, and then every `period` ms if provided,
+        in the same way as `Channel.interval()`.
+
+        Without a period, the channel closes (along with its pipeline) after the first count.
+    */
+    static timer(delay: Number, period: Number, { clock: time = scheduler, ...options } = {}) {
+        if (isOptions(period))
+            return Channel.timer(delay, undefined, period);
+        return ticking(new Channel(options), delay, period, time);
+    }
+
+    /*
+        Gets the scheduler which all timing inside of channels goes through.
+    */
+    static get scheduler() {
+        return scheduler;
+    }
+
+    /*
+        Sets the scheduler which all timing inside of channels goes through,
+        such as a `VirtualScheduler` in tests. Any object with the same
+        `now()`, `setTimeout()` and `clearTimeout()` methods as `clock` can be used.
+    */
+    static set scheduler(val) {
+        scheduler = val || clock;
+    }
+
+    /*
+        Sets the state of the channel.
+    */
+    set state(val) {
+        this[STATE] = val;
+    }
+
+    /*
+        Gets the state of the channel.
+    */
+    get state() {
+        return this[STATE];
+    }
+
+    /*
+        Gets the error which caused the channel to fail, if any.
+    */
+    get error() {
+        return this[ERROR];
+    }
+
+    /*
+        Gets the length of the channel,
+        which is interpreted as the current length of the buffer
+        added to any puts which are waiting for space in the buffer.
+    */
+    get length() {
+        if (this.buf)
+            return this.buf.length + this.puts.length;
+        return this.puts.length;
+    }
+
+    /*
+        Gets the size of the channel,
+        which is interpreted as the size of the buffer.
+    */
+    get size() {
+        return this.buf ? this.buf.size : undefined;
+    }
+
+    /*
+        Gets the statistics of a channel, as counters
+        kept over the life of the channel:
+
+            put         : Values put, offered or tailed onto the channel, once the channel accepts them
+                          (onto the buffer, or on their way to a take). Puts which are
+                          withdrawn through a signal or timeout are never counted.
+            taken       : Values handed to takes.
+            dropped     : Values which never reached a take, because the transform dropped them
+                          (or failed, with an error channel), the buffer dropped them,
+                          or the channel failed while they were buffered.
+            transformed : Values which passed through the transform.
+            expanded    : Values produced through the `accept` callback of the transform.
+            blocked     : The time puts and takes have spent waiting on the channel (in ms),
+                          including any still waiting, as `{ puts, takes }`.
+
+        Along with the current `state`, and the number of values or operations
+        currently waiting on the channel, as `queued: { puts, takes, tails, buffer }`.
+    */
+    static stats(ch: Channel) {
+        let { blocked, ...counters } = ch[STATS];
+        let now = scheduler.now();
+        let waiting = list => [ ...list ].reduce((sum, x) => typeof x.queued === 'number' ? sum + now - x.queued : sum, 0);
+        return {
+            ...counters,
+            dropped : counters.dropped + (ch.buf && ch.buf.dropped || 0),
+            state   : ch.state,
+            queued  : {
+                puts   : ch.puts.length,
+                takes  : ch.takes.length,
+                tails  : ch.tails.length,
+                buffer : ch.buf ? ch.buf.length : 0
+            },
+            blocked : {
+                puts  : blocked.puts + waiting(ch.puts),
+                takes : blocked.takes + waiting(ch.takes)
+            }
+        };
+    }
+
+    /*
+        Returns Channel.stats for `this`.
+    */
+    stats() {
+        return Channel.stats(this);
+    }
+
+    /*
+        Builds a plain snapshot of a channel which is suitable for logging,
+        with its stats, the name of its state, the message of its error (if any),
+        and how it is set up.
+    */
+    static inspect(ch: Channel) {
+        let { state, ...stats } = Channel.stats(ch);
+        return {
+            state       : Object.keys(STATES).find(key => STATES[key] === state).toLowerCase(),
+            error       : ch.error instanceof Error ? ch.error.message : ch.error,
+            size        : ch.size,
+            concurrency : ch.concurrency,
+            pipeline    : ch.pipeline.length,
+            sliding     : Boolean(ch[IS_SLIDING]),
+            ...stats
+        };
+    }
+
+    /*
+        Adds a listener for an event on a channel,
+        which is called synchronously each time the event happens.
+
+        Events:
+            put     : A value put, offered or tailed onto the channel was accepted (as counted
+                      by `Channel.stats()`). Receives the value.
+            take    : A value was handed to a take. Receives the value.
+            drop    : A value will never reach a take (see `Channel.stats()`). Receives the value, as it was put.
+            close   : The channel was closed.
+            end     : The channel was closed, and every value has been taken.
+            error   : The channel failed. Receives the error.
+            pipe    : A channel was piped from the channel. Receives the piped channel.
+            unpipe  : A channel was unpiped from the channel. Receives the unpiped channel.
+
+        Anything thrown by a listener is rethrown from a timer,
+        so that it is reported without breaking the channel.
+        Throws if the event is not one of the above.
+    */
+    static on(ch: Channel, event: String, fn: Function) {
+        listenersFor(ch, event).push(fn);
+        return ch;
+    }
+
+    /*
+        Returns Channel.on for `this`, `event`, `fn`.
+    */
+    on(event: String, fn: Function) {
+        return Channel.on(this, event, fn);
+    }
+
+    /*
+        Adds a listener for an event on a channel,
+        which is removed after the first time it is called.
+    */
+    static once(ch: Channel, event: String, fn: Function) {
+        let once = (...args) => {
+            Channel.off(ch, event, fn);
+            fn(...args);
+        };
+        once.listener = fn;
+        return Channel.on(ch, event, once);
+    }
+
+    /*
+        Returns Channel.once for `this`, `event`, `fn`.
+    */
+    once(event: String, fn: Function) {
+        return Channel.once(this, event, fn);
+    }
+
+    /*
+        Removes a listener for an event on a channel,
+        whether it was added through Channel.on or Channel.once.
+    */
+    static off(ch: Channel, event: String, fn: Function) {
+        let fns = listenersFor(ch, event);
+        let index = fns.findIndex(x => x === fn || x.listener === fn);
+        if (index !== -1)
+            fns.splice(index, 1);
+        return ch;
+    }
+
+    /*
+        Returns Channel.off for `this`, `event`, `fn`.
+    */
+    off(event: String, fn: Function) {
+        return Channel.off(this, event, fn);
+    }
+
+    /*
+        Marks a channel to no longer be writable.
+
+        Accepts an optional boolean `all`, to signify
+        whether or not to close the entire pipeline.
+    */
+    static close(ch: Channel, all: Boolean = false) {
+        if (ch.state === STATES.ERRORED || ch.state === STATES.ENDED)
+            return;
+        let closing = ch.state === STATES.OPEN;
+        ch.state = STATES.CLOSED;
+        if (closing)
+            notify(ch, 'close');
+        if (all)
+            ch[SHOULD_CLOSE] = true;
+        scheduler.setTimeout(() => slide(ch)); // we have a timing problem with pipes.. this resolves it, but is hacky.
+    }
+
+    /*
+        Calls Channel.close for `this`, `all`.
+    */
+    close(all: Boolean = false) {
+        return Channel.close(this, all);
+    }
+
+    /*
+        Marks a channel as errored with the provided error.
+
+        Any waiting puts, takes and `done()` promises are rejected
+        with the error, along with any that are attempted afterwards.
+    */
+    static fail(ch: Channel, e: Error) {
+        fail(ch, e);
+    }
+
+    /*
+        Calls Channel.fail for `this`, `e`.
+    */
+    fail(e: Error) {
+        return Channel.fail(this, e);
+    }
+
+    /*
+        Determines if a channel
+        has any values left for `take` to use.
+    */
+    static empty(ch: Channel) {
+        if (ch.buf)
+            return ch.buf.empty() && ch.puts.empty();
+        return ch.puts.empty();
+    }
+
+    /*
+        Returns Channel.empty for `this`.
+    */
+    empty() {
+        return Channel.empty(this);
+    }
+
+    /*
+        Places a new value onto the provided channel.
+
+        If the buffer is full, the promise will be pushed
+        onto Channel.puts to be resolved when buffer space is available.
+
+        Accepts an optional AbortSignal as `{ signal }`. Aborting
+        withdraws the put from Channel.puts and rejects with an AbortError,
+        unless the value is already on its way to a take.
+
+        Accepts an optional `{ timeout }` in milliseconds. If the put
+        is still waiting once it elapses, it is withdrawn in the same way,
+        and resolves with `ACTIONS.TIMEOUT`.
+    */
+    static put(ch: Channel, val: any, options: Object = {}) {
+        return new Promise((resolve, reject) => {
+            let { signal } = options;
+            if (signal && signal.aborted)
+                return reject(abortError());
+            if (ch.state === STATES.ERRORED)
+                return reject(ch[ERROR]);
+            if (ch.state !== STATES.OPEN)
+                return resolve(ACTIONS.DONE);
+            let detach = null;
+            let put = wrap(val, ch.transform, result => {
+                detach();
+                unblock(ch, 'puts', put);
+                resolve(result);
+            }, e => {
+                detach();
+                unblock(ch, 'puts', put);
+                reject(e);
+            });
+            put.queued = scheduler.now();
+            put.accepting = true;
+            detach = cancellable(ch.puts, put, options, put.reject, put.resolve);
+            ch.puts.push(put);
+            return slide(ch);
+        });
+    }
+
+    /*
+        Returns Channel.put for `this`, `val`, `options`.
+    */
+    put(val: any, options: Object = {}) {
+        return Channel.put(this, val, options);
+    }
+
+    /*
+        Takes the first value from the provided channel.
+
+        If no value is provided, the promise will be pushed
+        onto Channel.takes to be resolved when a value is available.
+
+        Accepts an optional AbortSignal as `{ signal }`. Aborting
+        withdraws the take from Channel.takes and rejects with an AbortError,
+        unless a value has already been handed to the take.
+
+        Accepts an optional `{ timeout }` in milliseconds. If no value
+        has arrived once it elapses, the take is withdrawn in the same way,
+        and resolves with `ACTIONS.TIMEOUT`.
+    */
+    static take(ch: Channel, options: Object = {}) {
+        return new Promise((resolve, reject) => {
+            let { signal } = options;
+            if (signal && signal.aborted)
+                return reject(abortError());
+            if (ch.state === STATES.ERRORED)
+                return reject(ch[ERROR]);
+            if (ch.state === STATES.ENDED)
+                return resolve(ACTIONS.DONE);
+            let detach = null;
+            let take = val => {
+                detach();
+                unblock(ch, 'takes', take);
+                if (val === FAILED)
+                    return reject(ch[ERROR]);
+                return resolve(val);
+            };
+            take.queued = scheduler.now();
+            detach = cancellable(ch.takes, take, options, e => {
+                detach();
+                unblock(ch, 'takes', take);
+                reject(e);
+            }, take);
+            ch.takes.push(take);
+            return slide(ch);
+        });
+    }
+
+    /*
+        Returns Channel.take for `this`, `options`.
+    */
+    take(options: Object = {}) {
+        return Channel.take(this, options);
+    }
+
+    /*
+        Attempts to put a value onto the channel without waiting.
+
+        Returns true if free space on the buffer or a waiting take
+        accepted the value, and false if the channel was full or
+        no longer open, in which case nothing is placed on the channel.
+
+        Any transform still applies to accepted values. A take which accepts
+        a value is removed from the channel straight away, so it can no longer
+        be withdrawn while the value is transforming, and any `Channel.select()`
+        owning the take commits to it.
+    */
+    static offer(ch: Channel, val: any) {
+        if (ch.state !== STATES.OPEN || !canPut(ch))
+            return false;
+        let buffering = Boolean(ch.buf) && !ch.buf.full();
+        if (!buffering && ch.buf && !ch.buf.empty())
+            return false; // the waiting takes are owed the buffered values first
+        let put = wrap(val, ch.transform, () => {});
+        putOnto(ch, val);
+        if (buffering) {
+            bufferPut(ch, put);
+            slide(ch);
+        }
+        else
+            offerTo(ch, ch.takes.shift(), put);
+        return true;
+    }
+
+    /*
+        Returns Channel.offer for `this`, `val`.
+    */
+    offer(val: any) {
+        return Channel.offer(this, val);
+    }
+
+    /*
+        Attempts to take a value from the channel without waiting for a put.
+
+        Resolves with a buffered or pending value (after any transform),
+        with `ACTIONS.DONE` if the channel has ended,
+        or with `ACTIONS.NO_VALUE` if nothing could be taken right away.
+        Rejects if the channel has failed.
+
+        Values are read straight from the channel, without waiting as a take,
+        so a poll is never seen as a take waiting for a put or an offer.
+    */
+    static async poll(ch: Channel) {
+        if (ch.state === STATES.ERRORED)
+            throw ch[ERROR];
+        if (ch.state === STATES.ENDED)
+            return ACTIONS.DONE;
+        let result = ACTIONS.NO_VALUE;
+        while (result === ACTIONS.NO_VALUE && canTake(ch))
+            result = await pollEntry(ch);
+        slide(ch);
+        if (result === FAILED)
+            throw ch[ERROR];
+        return result;
+    }
+
+    /*
+        Returns Channel.poll for `this`.
+    */
+    poll() {
+        return Channel.poll(this);
+    }
+
+    /*
+        Appends a value to the end of the channel, to be taken
+        only after the channel is closed and all puts have been taken.
+
+        Accepts an optional AbortSignal as `{ signal }`, which
+        withdraws the tail in the same way as Channel.put.
+    */
+    static tail(ch: Channel, val: any, { signal } = {}) {
+        return new Promise((resolve, reject) => {
+            if (signal && signal.aborted)
+                return reject(abortError());
+            if (ch.state === STATES.ERRORED)
+                return reject(ch[ERROR]);
+            if (ch.state !== STATES.OPEN)
+                return resolve(ACTIONS.DONE);
+            let detach = null;
+            let tail = wrap(val, ch.transform, result => {
+                detach();
+                resolve(result);
+            }, e => {
+                detach();
+                reject(e);
+            });
+            tail.accepting = true;
+            detach = cancellable(ch.tails, tail, { signal }, tail.reject);
+            ch.tails.push(tail);
+            return slide(ch);
+        });
+    }
+
+    /*
+        Returns Channel.tail for `this`, `val`, `options`.
+    */
+    tail(val: any, options: Object = {}) {
+        return Channel.tail(this, val, options);
+    }
+
+    /*
+        Builds a channel which closes itself after the provided delay.
+
+        Useful with Channel.select for bounding how long to wait
+        on other channels, since takes from the timeout channel
+        resolve with `ACTIONS.DONE` once it has closed.
+    */
+    static timeout(delay: Number = 0) {
+        let ch = new Channel();
+        scheduler.setTimeout(() => ch.close(), delay);
+        return ch;
+    }
+
+    /*
+        Waits on several channel operations at once,
+        and commits to exactly one of them.
+
+        Each operation is either a channel to take from,
+        or a `[ channel, value ]` pair to put onto.
+        As soon as one operation completes, any other
+        pending operations are withdrawn from their channels.
+
+        Resolves with `{ value, channel, index }`, where `index`
+        is the position of the winning operation. Puts resolve
+        with a `value` of undefined, or `ACTIONS.DONE` if the channel was closed.
+
+        Operations which can never complete, because they put onto a channel
+        which is no longer open or take from a channel which has ended,
+        resolve with `ACTIONS.DONE`. Any other operation which can complete
+        immediately is preferred over them, and they are ignored in that case.
+
+        If a `default` option is provided and no operation
+        can complete immediately, the select resolves
+        with that value and an `index` of -1 instead of waiting.
+
+        If any of the channels has failed, the select rejects with its error.
+
+        Examples:
+            Channel.select([ ch1, ch2 ])              -> take from whichever of ch1 or ch2 has a value first
+            Channel.select([ ch1, [ ch2, 'val' ] ])   -> take from ch1, or put 'val' onto ch2
+            Channel.select([ ch1 ], { default: 42 })  -> take from ch1 only if a value is ready
+    */
+    static select(ops: Array, options: Object = {}) {
+        return new Promise((resolve, reject) => {
+            let entries = ops.map((op, index) => {
+                if (Array.isArray(op))
+                    return { index, channel: op[0], val: op[1], isPut: true };
+                return { index, channel: op, isPut: false };
+            });
+
+            let errored = entries.find(({ channel }) => channel.state === STATES.ERRORED);
+            if (errored)
+                return reject(errored.channel.error);
+
+            let isClosed = ({ channel, isPut }) => {
+                if (isPut)
+                    return channel.state !== STATES.OPEN;
+                return channel.state === STATES.ENDED;
+            };
+            let open = entries.filter(x => !isClosed(x));
+            let ready = open.some(({ channel, isPut }) => isPut ? canPut(channel) : canTake(channel));
+
+            let closed = entries.find(isClosed);
+            if (closed && !ready)
+                return resolve({ value: ACTIONS.DONE, channel: closed.channel, index: closed.index });
+
+            if ('default' in options && !ready)
+                return resolve({ value: options.default, channel: null, index: -1 });
+
+            let committed = false;
+            let commit = winner => {
+                committed = true;
+                for (let entry of entries.filter(x => x !== winner && x.pending)) {
+                    if (entry.isPut)
+                        entry.channel.puts.remove(entry.pending);
+                    else
+                        entry.channel.takes.remove(entry.pending);
+                }
+            };
+
+            for (let entry of open) {
+                if (committed)
+                    break;
+                let { index, channel } = entry;
+                if (entry.isPut) {
+                    let put = wrap(entry.val, channel.transform, value => resolve({ value, channel, index }), e => {
+                        commit(entry);
+                        reject(e);
+                    });
+                    put.claim = () => commit(entry);
+                    put.accepting = true;
+                    entry.pending = put;
+                    channel.puts.push(put);
+                }
+                else {
+                    let take = value => {
+                        commit(entry);
+                        if (value === FAILED)
+                            return reject(channel.error);
+                        return resolve({ value, channel, index });
+                    };
+                    take.claim = () => commit(entry);
+                    entry.pending = take;
+                    channel.takes.push(take);
+                }
+                slide(channel);
+            }
+        });
+    }
+
+    /*
+        Builds an async iterator which takes values from the channel
+        until it receives `ACTIONS.DONE`.
+
+        When the iterator is returned early (such as by a `break`
+        inside of a `for await` loop), any take still waiting on the
+        channel is released. Pass `{ close: true }` to also close
+        the channel at that point.
+    */
+    static iterate(ch: Channel, { close = false } = {}) {
+        let pending = null;
+        let finished = false;
+        let release = () => {
+            if (pending && ch.takes.remove(pending))
+                pending(ACTIONS.DONE);
+        };
+        let iterator = {
+            next() {
+                if (finished)
+                    return Promise.resolve({ value: undefined, done: true });
+                return new Promise((resolve, reject) => {
+                    let take = val => {
+                        if (pending === take)
+                            pending = null;
+                        if (val === FAILED) {
+                            finished = true;
+                            return reject(ch.error);
+                        }
+                        if (val === ACTIONS.DONE) {
+                            finished = true;
+                            return resolve({ value: undefined, done: true });
+                        }
+                        return resolve({ value: val, done: false });
+                    };
+                    if (ch.state === STATES.ERRORED)
+                        return take(FAILED);
+                    if (ch.state === STATES.ENDED)
+                        return take(ACTIONS.DONE);
+                    pending = take;
+                    ch.takes.push(take);
+                    return slide(ch);
+                });
+            },
+            return() {
+                finished = true;
+                release();
+                if (close)
+                    ch.close();
+                return Promise.resolve({ value: undefined, done: true });
+            }
+        };
+        iterator[ASYNC_ITERATOR] = () => iterator;
+        return iterator;
+    }
+
+    /*
+        Returns Channel.iterate for `this`, `options`.
+    */
+    iterate(options: Object = {}) {
+        return Channel.iterate(this, options);
+    }
+
+    /*
+        Allows a channel to be used with `for await`.
+    */
+    [ASYNC_ITERATOR]() {
+        return Channel.iterate(this);
+    }
+
+    /*
+        Helper method for putting values onto a channel
+        from a provided producer whenever there is space.
+
+        If the producer throws, the channel fails with that error.
+    */
+    static async produce(
+          ch       : Channel
+        , producer : Function
+    ): Function {
+        let spin = true;
+        (async() => {
+            try {
+                while (spin) {
+                    let val = producer();
+                    if (val instanceof Promise)
+                        val = await val;
+                    else
+                        await timeout();
+                    let r = await Channel.put(ch, val);
+                    if (r === ACTIONS.DONE)
+                        break;
+                }
+            }
+            catch(e) {
+                fail(ch, e);
+            }
+        })();
+        return () => {
+            spin = false;
+        };
+    }
+
+    /*
+        Calls Channel.produce for `this`, `producer`.
+    */
+    produce(producer: Function) {
+        return Channel.produce(this, producer);
+    }
+
+    /*
+        Helper method for executing a provided consumer
+        each time a channel value is available.
+
+        If the consumer throws, the channel fails with that error,
+        and consuming stops.
+    */
+    static async consume(
+          ch       : Channel
+        , consumer : Function = () => {} // noop default
+    ): Function {
+        ch[IS_CONSUMING] = true;
+        (async() => {
+            let taking = Channel.take(ch);
+            try {
+                while (ch[IS_CONSUMING]) {
+                    let val = await taking;
+                    if (val === ACTIONS.DONE)
+                        break;
+                    let consuming = consumer(val);
+                    taking = Channel.take(ch);
+                    await consuming;
+                }
+            }
+            catch(e) {
+                taking.catch(() => {}); // the next take is rejected by fail() below, nobody is left to await it
+                fail(ch, e);
+            }
+            ch[IS_CONSUMING] = false;
+            if (ch.state === STATES.ERRORED)
+                return;
+            if (ch[IS_FLUSHING])
+                await ch[IS_FLUSHING];
+            else
+                finish(ch);
+        })();
+    }
+
+    /*
+        Calls Channel.consume for `this`, `consumer`.
+    */
+    consume(consumer: Function = () => {}) {
+        return Channel.consume(this, consumer);
+    }
+
+    /*
+        Takes every value from the channel, reducing them with `fn`
+        (which may return a promise), starting from `seed`.
+
+        Resolves with the result once the channel has ended,
+        or rejects if the channel fails. If `fn` throws,
+        the channel fails with that error.
+    */
+    static async reduce(ch: Channel, fn: Function, seed: any) {
+        let acc = seed;
+        let val = await ch.take();
+        while (val !== ACTIONS.DONE) {
+            try {
+                acc = await fn(acc, val);
+            }
+            catch(e) {
+                fail(ch, e);
+                throw e;
+            }
+            val = await ch.take();
+        }
+        await ch.done();
+        return acc;
+    }
+
+    /*
+        Returns Channel.reduce for `this`, `fn`, `seed`.
+    */
+    reduce(fn: Function, seed: any) {
+        return Channel.reduce(this, fn, seed);
+    }
+
+    /*
+        Takes every value from the channel, calling `fn` with each one
+        and waiting on any promise it returns before taking the next.
+
+        Resolves once the channel has ended, or rejects if the channel fails.
+        If `fn` throws, the channel fails with that error.
+    */
+    static async forEach(ch: Channel, fn: Function) {
+        await Channel.reduce(ch, async(acc, val) => {
+            await fn(val);
+        });
+    }
+
+    /*
+        Returns Channel.forEach for `this`, `fn`.
+    */
+    forEach(fn: Function) {
+        return Channel.forEach(this, fn);
+    }
+
+    /*
+        Takes every value from the channel into an array,
+        resolving with it once the channel has ended.
+    */
+    static toArray(ch: Channel) {
+        return Channel.into(ch, []);
+    }
+
+    /*
+        Returns Channel.toArray for `this`.
+    */
+    toArray() {
+        return Channel.toArray(this);
+    }
+
+    /*
+        Takes every value from the channel into a collection,
+        resolving with it once the channel has ended.
+
+        Arrays and Sets receive each value, while Maps and
+        plain objects receive each value as a `[ key, value ]` pair.
+    */
+    static into(ch: Channel, collection: Object) {
+        return Channel.reduce(ch, collect, collection);
+    }
+
+    /*
+        Returns Channel.into for `this`, `collection`.
+    */
+    into(collection: Object) {
+        return Channel.into(this, collection);
+    }
+
+    /*
+        Takes every value from the channel, resolving
+        with how many there were once the channel has ended.
+    */
+    static count(ch: Channel) {
+        return Channel.reduce(ch, n => n + 1, 0);
+    }
+
+    /*
+        Returns Channel.count for `this`.
+    */
+    count() {
+        return Channel.count(this);
+    }
+
+    /*
+        Registers a promise to be resolved
+        when the channel has fully ended,
+        or rejected if the channel fails.
+    */
+    static done(ch: Channel) {
+        return new Promise((resolve, reject) => {
+            if (ch.state === STATES.ERRORED)
+                return reject(ch[ERROR]);
+            if (ch.state === STATES.ENDED)
+                return resolve();
+            ch.waiting.push(val => val === FAILED ? reject(ch[ERROR]) : resolve());
+        });
+    }
+
+    /*
+        Returns Channel.done for `this`.
+    */
+    done() {
+        return Channel.done(this);
+    }
+
+    /*
+        Automatically builds a set of channels
+        for the provided function arguments,
+        setting up a pipe from the first channel
+        all the way down to the last channel.
+
+        Returns references to both
+        the first and the last channel.
+    */
+    static pipeline(...args) {
+        let first = null;
+        let last = null;
+        if (args.length === 0) {
+            first = new Channel();
+            last = first;
+        }
+        else {
+            if (Array.isArray(args[0]))
+                args = [ ...args[0] ];
+            let channels = args
+                .filter(x => x instanceof Function)
+                .map(fn => new Channel(fn));
+            first = channels[0];
+            last = channels.reduce((x, y) => x.pipe(y));
+        }
+        return [ first, last ];
+    }
+
+    /*
+        Builds a pipeline from a parent channel
+        to one or more children.
+
+        This will automatically pipe values from
+        the parent onto each of the children.
+
+        If the parent fails, each of the children
+        in the pipeline fails with the same error.
+        Errors only flow downstream, so a failed child
+        will not stop values from reaching its siblings.
+    */
+    static pipe(parent: Channel, ...channels: Array<Channel>) {
+        parent.pipeline.push(...channels);
+        for (let channel of channels)
+            notify(parent, 'pipe', channel);
+        if (!parent[ACTIONS.CANCEL]) {
+            let running = true;
+            (async() => {
+                while (running) {
+                    let val = null;
+                    try {
+                        val = await parent.take();
+                    }
+                    catch(e) {
+                        for (let channel of parent.pipeline)
+                            fail(channel, e);
+                        break;
+                    }
+                    if (val === ACTIONS.DONE) {
+                        if (parent[SHOULD_CLOSE]) {
+                            for (let channel of parent.pipeline)
+                                channel.close(true);
+                        }
+                        break;
+                    }
+                    await* parent.pipeline.map(x => x.put(val).catch(() => {})); // eslint-disable-line no-loop-func
+                }
+            })();
+            parent[ACTIONS.CANCEL] = () => {
+                running = false;
+            };
+        }
+        return channels[channels.length - 1];
+    }
+
+    /*
+        Returns Channel.pipe for `this`, `...channels`.
+    */
+    pipe(...channels: Array<Channel>) {
+        return Channel.pipe(this, ...channels);
+    }
+
+    /*
+        Builds a publication from a source channel,
+        routing each value to the channels subscribed
+        to the topic returned by `topicFn` for that value.
+    */
+    static pub(source: Channel, topicFn: Function) {
+        return new Publication(source, topicFn);
+    }
+
+    /*
+        Returns Channel.pub for `this`, `topicFn`.
+    */
+    pub(topicFn: Function) {
+        return Channel.pub(this, topicFn);
+    }
+
+    /*
+        Builds a mult from a source channel,
+        broadcasting each value to every tapped channel.
+    */
+    static mult(source: Channel) {
+        return new Mult(source);
+    }
+
+    /*
+        Returns Channel.mult for `this`.
+    */
+    mult() {
+        return Channel.mult(this);
+    }
+
+    /*
+        Builds a channel piped from `ch`, receiving the result
+        of calling `fn` with each value (which may be a promise).
+        As with any transform, undefined results are dropped.
+    */
+    static map(ch: Channel, fn: Function) {
+        return Channel.pipe(ch, new Channel(x => fn(x)));
+    }
+
+    /*
+        Returns Channel.map for `this`, `fn`.
+    */
+    map(fn: Function) {
+        return Channel.map(this, fn);
+    }
+
+    /*
+        Builds a channel piped from `ch`, receiving only the values
+        for which `pred` returns (or resolves with) a truthy result.
+    */
+    static filter(ch: Channel, pred: Function) {
+        return Channel.pipe(ch, new Channel(async x => await pred(x) ? x : undefined));
+    }
+
+    /*
+        Returns Channel.filter for `this`, `pred`.
+    */
+    filter(pred: Function) {
+        return Channel.filter(this, pred);
+    }
+
+    /*
+        Builds a channel piped from `ch`, receiving each of the values
+        in the iterable returned (or resolved) by calling `fn` with each value.
+    */
+    static flatMap(ch: Channel, fn: Function) {
+        return Channel.pipe(ch, new Channel(async(x, accept) => {
+            for (let y of await fn(x))
+                accept(y);
+        }));
+    }
+
+    /*
+        Returns Channel.flatMap for `this`, `fn`.
+    */
+    flatMap(fn: Function) {
+        return Channel.flatMap(this, fn);
+    }
+
+    /*
+        Builds a channel piped from `ch`, receiving only the first `n` values.
+
+        Once the last value is taken, the channel closes,
+        and is released from `ch` (see `releaseOperator()`).
+    */
+    static limit(ch: Channel, n: Number) {
+        let count = 0;
+        let child = new Channel(x => {
+            count++;
+            if (count === n)
+                releaseOperator(ch, child);
+            if (count <= n)
+                return x;
+        });
+        Channel.pipe(ch, child);
+        if (n <= 0)
+            releaseOperator(ch, child);
+        return child;
+    }
+
+    /*
+        Returns Channel.limit for `this`, `n`.
+    */
+    limit(n: Number) {
+        return Channel.limit(this, n);
+    }
+
+    /*
+        Builds a channel piped from `ch`, receiving every value after the first `n`.
+    */
+    static drop(ch: Channel, n: Number) {
+        let count = 0;
+        return Channel.pipe(ch, new Channel(x => {
+            count++;
+            if (count > n)
+                return x;
+        }));
+    }
+
+    /*
+        Returns Channel.drop for `this`, `n`.
+    */
+    drop(n: Number) {
+        return Channel.drop(this, n);
+    }
+
+    /*
+        Builds a channel piped from `ch`, receiving values for as long as
+        `pred` returns (or resolves with) a truthy result.
+
+        The first value failing `pred` is discarded, and the channel closes
+        and is released from `ch` (see `releaseOperator()`).
+    */
+    static takeWhile(ch: Channel, pred: Function) {
+        let taking = true;
+        let child = new Channel(async x => {
+            if (taking && await pred(x))
+                return x;
+            if (taking)
+                releaseOperator(ch, child);
+            taking = false;
+        });
+        return Channel.pipe(ch, child);
+    }
+
+    /*
+        Returns Channel.takeWhile for `this`, `pred`.
+    */
+    takeWhile(pred: Function) {
+        return Channel.takeWhile(this, pred);
+    }
+
+    /*
+        Builds a channel piped from `ch`, receiving each intermediate result
+        of reducing its values with `fn`, starting from `seed`.
+    */
+    static scan(ch: Channel, fn: Function, seed: any) {
+        let acc = seed;
+        return Channel.pipe(ch, new Channel(async x => {
+            acc = await fn(acc, x);
+            return acc;
+        }));
+    }
+
+    /*
+        Returns Channel.scan for `this`, `fn`, `seed`.
+    */
+    scan(fn: Function, seed: any) {
+        return Channel.scan(this, fn, seed);
+    }
+
+    /*
+        Builds a channel piped from `ch`, receiving only values
+        whose key (as returned by `keyFn`) has not been seen before.
+    */
+    static distinct(ch: Channel, keyFn: Function = x => x) {
+        let seen = new Set();
+        return Channel.pipe(ch, new Channel(x => {
+            let key = keyFn(x);
+            if (!seen.has(key)) {
+                seen.add(key);
+                return x;
+            }
+        }));
+    }
+
+    /*
+        Returns Channel.distinct for `this`, `keyFn`.
+    */
+    distinct(keyFn: Function = x => x) {
+        return Channel.distinct(this, keyFn);
+    }
+
+    /*
+        Builds a channel receiving the values of `ch` in arrays,
+        each put once it holds `size` values, or once `maxWait` ms
+        have passed since its first value, whichever comes first.
+
+        When `ch` ends, the last partial batch is put
+        before the channel closes (along with its pipeline).
+    */
+    static batch(ch: Channel, { size = Infinity, maxWait } = {}) {
+        if (size === Infinity && typeof maxWait !== 'number')
+            throw new Error('Channel.batch() requires a size, a maxWait, or both!');
+        let out = new Channel();
+        batching(ch, out, size, maxWait);
+        return out;
+    }
+
+    /*
+        Returns Channel.batch for `this`, `options`.
+    */
+    batch(options: Object = {}) {
+        return Channel.batch(this, options);
+    }
+
+    /*
+        Builds a channel receiving windows of `size` values from `ch`,
+        starting a new window every `every` values (defaults to `size`).
+
+        Windows overlap (sliding) when `every` is less than `size`,
+        and follow one another (tumbling) when they are equal.
+        When `ch` ends, any partial windows are put
+        before the channel closes (along with its pipeline).
+    */
+    static window(ch: Channel, { size, every = size } = {}) {
+        if (!(size > 0) || !(every > 0))
+            throw new Error('Channel.window() requires a positive size and every!');
+        let out = new Channel();
+        windowing(ch, out, size, every);
+        return out;
+    }
+
+    /*
+        Returns Channel.window for `this`, `options`.
+    */
+    window(options: Object = {}) {
+        return Channel.window(this, options);
+    }
 
     /*
-        Marks a channel to no longer be writable.
+        Builds a channel receiving the values of `ch`, once `ms` have passed
+        without `ch` receiving a newer value.
 
-        Accepts an optional boolean `all`, to signify
-        whether or not to close the entire pipeline.
+        When `ch` ends, the last value still waiting is put before the channel closes.
     */
-    static close(ch: Channel, all: Boolean = false) {
-        ch.state = STATES.CLOSED;
-        if (all)
-            ch[SHOULD_CLOSE] = true;
-        setTimeout(() => slide(ch)); // we have a timing problem with pipes.. this resolves it, but is hacky.
+    static debounce(ch: Channel, ms: Number, { clock: time = scheduler } = {}) {
+        let out = new Channel();
+        let { put, settled } = serialPuts(out);
+        let latest = null;
+        let timer = null;
+        let emit = () => {
+            timer = null;
+            if (latest)
+                put(latest.val);
+            latest = null;
+        };
+        timed(ch, out, {
+            step: val => {
+                latest = { val };
+                time.clearTimeout(timer);
+                timer = time.setTimeout(emit, ms);
+            },
+            stop: () => time.clearTimeout(timer),
+            end: async() => emit(),
+            settled
+        });
+        return out;
     }
 
     /*
-        Calls Channel.close for `this`, `all`.
+        Returns Channel.debounce for `this`, `ms`, `options`.
     */
-    close(all: Boolean = false) {
-        return Channel.close(this, all);
+    debounce(ms: Number, options: Object = {}) {
+        return Channel.debounce(this, ms, options);
     }
 
     /*
-        Determines if a channel
-        has any values left for `take` to use.
+        Builds a channel receiving at most one value of `ch` every `ms`.
+
+        Options:
+            leading  : Whether or not to put the first value of each period right away (defaults to true).
+            trailing : Whether or not to put the latest value of each period once it ends (defaults to true).
+            clock    : The clock to use in place of `Channel.scheduler`.
+
+        When `ch` ends, any trailing value still waiting is put before the channel closes.
     */
-    static empty(ch: Channel) {
-        if (ch.buf)
-            return ch.buf.empty() && ch.puts.empty();
-        return ch.puts.empty();
+    static throttle(ch: Channel, ms: Number, { leading = true, trailing = true, clock: time = scheduler } = {}) {
+        let out = new Channel();
+        let { put, settled } = serialPuts(out);
+        let latest = null;
+        let timer = null;
+        let emit = () => {
+            if (latest && trailing)
+                put(latest.val);
+            latest = null;
+        };
+        let period = () => {
+            timer = null;
+            if (latest && trailing) { // start another period, so the next value waits its turn
+                emit();
+                timer = time.setTimeout(period, ms);
+            }
+        };
+        timed(ch, out, {
+            step: val => {
+                if (timer === null) {
+                    if (leading)
+                        put(val);
+                    else
+                        latest = { val };
+                    timer = time.setTimeout(period, ms);
+                }
+                else
+                    latest = { val };
+            },
+            stop: () => time.clearTimeout(timer),
+            end: async() => emit(),
+            settled
+        });
+        return out;
     }
 
     /*
-        Returns Channel.empty for `this`.
+        Returns Channel.throttle for `this`, `ms`, `options`.
     */
-    empty() {
-        return Channel.empty(this);
+    throttle(ms: Number, options: Object = {}) {
+        return Channel.throttle(this, ms, options);
     }
 
     /*
-        Places a new value onto the provided channel.
+        Builds a channel receiving each value of `ch` `ms` after it was taken.
 
-        If the buffer is full, the promise will be pushed
-        onto Channel.puts to be resolved when buffer space is available.
+        When `ch` ends, the channel closes once every delayed value has been put.
     */
-    static put(ch: Channel, val: any) {
-        return new Promise((resolve) => {
-            if (ch.state !== STATES.OPEN)
-                return resolve(ACTIONS.DONE);
-            let put = wrap(val, ch.transform, resolve);
-            ch.puts.push(put);
-            slide(ch);
+    static delay(ch: Channel, ms: Number, { clock: time = scheduler } = {}) {
+        let out = new Channel();
+        let { put, settled } = serialPuts(out);
+        let timers = new Set();
+        let last = Promise.resolve();
+        timed(ch, out, {
+            step: val => {
+                last = new Promise(resolve => {
+                    let timer = time.setTimeout(() => {
+                        timers.delete(timer);
+                        put(val);
+                        resolve();
+                    }, ms);
+                    timers.add(timer);
+                });
+            },
+            stop: () => {
+                if (out.state !== STATES.OPEN) {
+                    for (let timer of timers)
+                        time.clearTimeout(timer);
+                    timers.clear();
+                }
+            },
+            end: () => timers.size > 0 ? last : Promise.resolve(),
+            settled
         });
+        return out;
     }
 
     /*
-        Returns Channel.put for `this`, `val`.
+        Returns Channel.delay for `this`, `ms`, `options`.
     */
-    put(val: any) {
-        return Channel.put(this, val);
+    delay(ms: Number, options: Object = {}) {
+        return Channel.delay(this, ms, options);
     }
 
     /*
-        Takes the first value from the provided channel.
+        Builds a channel receiving the latest value of `ch` every `ms`,
+        as long as `ch` has received a new value since the last one.
 
-        If no value is provided, the promise will be pushed
-        onto Channel.takes to be resolved when a value is available.
+        When `ch` ends, the latest value still waiting is put before the channel closes.
     */
-    static take(ch: Channel) {
-        return new Promise((resolve) => {
-            if (ch.state === STATES.ENDED)
-                return resolve(ACTIONS.DONE);
-            ch.takes.push(resolve);
-            slide(ch);
+    static sample(ch: Channel, ms: Number, { clock: time = scheduler } = {}) {
+        let out = new Channel();
+        let { put, settled } = serialPuts(out);
+        let latest = null;
+        let timer = null;
+        let emit = () => {
+            if (latest)
+                put(latest.val);
+            latest = null;
+        };
+        let tick = () => {
+            emit();
+            timer = time.setTimeout(tick, ms);
+        };
+        timer = time.setTimeout(tick, ms);
+        timed(ch, out, {
+            step: val => {
+                latest = { val };
+            },
+            stop: () => time.clearTimeout(timer),
+            end: async() => emit(),
+            settled
         });
+        return out;
     }
 
     /*
-        Returns Channel.take for `this`.
+        Returns Channel.sample for `this`, `ms`, `options`.
     */
-    take() {
-        return Channel.take(this);
+    sample(ms: Number, options: Object = {}) {
+        return Channel.sample(this, ms, options);
     }
 
-    static tail(ch: Channel, val: any) {
-        return new Promise((resolve) => {
-            if (ch.state !== STATES.OPEN)
-                return resolve(ACTIONS.DONE);
-            let tail = wrap(val, ch.transform, resolve);
-            ch.tails.push(tail);
-            slide(ch);
-        });
+    /*
+        Builds a mix, which puts the values of any number of inputs onto `out`.
+    */
+    static mix(out: Channel) {
+        return new Mix(out);
     }
 
     /*
-        Returns Channel.tail for `this`.
+        Returns Channel.mix for `this`.
     */
-    tail(val: any) {
-        return Channel.tail(this, val);
+    mix() {
+        return Channel.mix(this);
     }
 
     /*
-        Helper method for putting values onto a channel
-        from a provided producer whenever there is space.
+        Pipes all provided channels into a new, single destination.
     */
-    static async produce(
-          ch       : Channel
-        , producer : Function
-    ): Function {
-        let spin = true;
+    static merge(...channels: Array<Channel>) {
+        let child = new Channel();
+        for (let parent of channels)
+            parent.pipe(child);
+        return child;
+    }
+
+    /*
+        Returns Channel.merge for `this`, `...channels`.
+    */
+    merge(...channels: Array<Channel>) {
+        return Channel.merge(this, ...channels);
+    }
+
+    /*
+        Builds a channel receiving arrays of one value from each of the provided channels,
+        in the same order as the channels.
+
+        The channel closes (along with its pipeline) as soon as any of the
+        provided channels ends. Any values already taken from the others
+        for the array which can no longer be completed are placed back
+        on their channels, unless those have ended as well.
+    */
+    static zip(...channels: Array<Channel>) {
+        let out = new Channel();
         (async() => {
             try {
-                while (spin) {
-                    let val = producer();
-                    if (val instanceof Promise)
-                        val = await val;
-                    else
-                        await timeout();
-                    let r = await Channel.put(ch, val);
-                    if (r === ACTIONS.DONE)
+                while (out.state === STATES.OPEN) {
+                    let vals = await takeAll(channels);
+                    if (vals === ACTIONS.DONE)
                         break;
+                    await out.put(vals);
                 }
+                out.close(true);
             }
             catch(e) {
-                expose(e);
+                fail(out, e);
             }
         })();
-        return () => {
-            spin = false;
-        };
+        return out;
     }
 
     /*
-        Calls Channel.produce for `this`, `producer`.
+        Returns Channel.zip for `this`, `...channels`.
     */
-    produce(producer: Function) {
-        return Channel.produce(this, producer);
+    zip(...channels: Array<Channel>) {
+        return Channel.zip(this, ...channels);
     }
 
     /*
-        Helper method for executing a provided consumer
-        each time a channel value is available.
+        Builds a channel receiving an array of the latest value from each
+        of the provided channels, whenever any of them receives a value,
+        once every one of them has received at least one.
+
+        The channel closes (along with its pipeline) once all of the provided
+        channels end, or as soon as one of them ends without ever receiving a value.
     */
-    static async consume(
-          ch       : Channel
-        , consumer : Function = () => {} // noop default
-    ): Function {
-        ch[IS_CONSUMING] = true;
+    static combineLatest(...channels: Array<Channel>) {
+        let out = new Channel();
         (async() => {
-            let taking = Channel.take(ch);
-            while (ch[IS_CONSUMING]) {
-                let val = await taking;
-                if (val === ACTIONS.DONE)
-                    break;
-                let consuming = consumer(val);
-                taking = Channel.take(ch);
-                await consuming;
+            let latest = channels.map(() => null);
+            let active = [ ...channels ];
+            try {
+                while (active.length > 0 && out.state === STATES.OPEN) {
+                    let { value, channel } = await Channel.select(active);
+                    let index = channels.indexOf(channel);
+                    if (value === ACTIONS.DONE) {
+                        if (!latest[index])
+                            break;
+                        active = active.filter(x => x !== channel);
+                    }
+                    else {
+                        latest[index] = { value };
+                        if (latest.every(Boolean))
+                            await out.put(latest.map(x => x.value));
+                    }
+                }
+                out.close(true);
+            }
+            catch(e) {
+                fail(out, e);
             }
-            ch[IS_CONSUMING] = false;
-            if (ch[IS_FLUSHING])
-                await ch[IS_FLUSHING];
-            else
-                finish(ch);
         })();
+        return out;
     }
 
     /*
-        Calls Channel.consume for `this`, `consumer`.
+        Returns Channel.combineLatest for `this`, `...channels`.
     */
-    consume(consumer: Function = () => {}) {
-        return Channel.consume(this, consumer);
+    combineLatest(...channels: Array<Channel>) {
+        return Channel.combineLatest(this, ...channels);
     }
 
     /*
-        Registers a promise to be resolved
-        when the channel has fully ended.
+        Builds a channel receiving every value of each of the provided channels in turn,
+        only moving on to the next channel once the previous one has ended.
+
+        The channel closes (along with its pipeline) once the last channel ends.
     */
-    static done(ch: Channel) {
-        return new Promise((resolve) => {
-            if (ch.state === STATES.ENDED)
-                return resolve();
-            ch.waiting.push(resolve);
-        });
+    static concat(...channels: Array<Channel>) {
+        let out = new Channel();
+        (async() => {
+            try {
+                for (let ch of channels) {
+                    let val = await ch.take();
+                    while (val !== ACTIONS.DONE && out.state === STATES.OPEN) {
+                        await out.put(val);
+                        val = await ch.take();
+                    }
+                }
+                out.close(true);
+            }
+            catch(e) {
+                fail(out, e);
+            }
+        })();
+        return out;
     }
 
     /*
-        Returns Channel.done for `this`.
+        Returns Channel.concat for `this`, `...channels`.
     */
-    done() {
-        return Channel.done(this);
+    concat(...channels: Array<Channel>) {
+        return Channel.concat(this, ...channels);
     }
 
     /*
-        Automatically builds a set of channels
-        for the provided function arguments,
-        setting up a pipe from the first channel
-        all the way down to the last channel.
+        Builds a channel which follows whichever of the provided channels
+        receives a value first, no longer taking from the rest.
+        Channels which end before receiving a value drop out of the race.
 
-        Returns references to both
-        the first and the last channel.
+        The channel closes (along with its pipeline) once the winning channel ends,
+        or once every channel has dropped out.
     */
-    static pipeline(...args) {
-        let first = null;
-        let last = null;
-        if (args.length === 0) {
-            first = new Channel();
-            last = first;
-        }
-        else {
-            if (Array.isArray(args[0]))
-                args = [ ...args[0] ];
-            let channels = args
-                .filter(x => x instanceof Function)
-                .map(fn => new Channel(fn));
-            first = channels[0];
-            last = channels.reduce((x, y) => x.pipe(y));
+    static race(...channels: Array<Channel>) {
+        let out = new Channel();
+        (async() => {
+            let active = [ ...channels ];
+            try {
+                let winner = null;
+                let val = ACTIONS.DONE;
+                while (!winner && active.length > 0) {
+                    let { value, channel } = await Channel.select(active);
+                    if (value === ACTIONS.DONE)
+                        active = active.filter(x => x !== channel);
+                    else {
+                        winner = channel;
+                        val = value;
+                    }
+                }
+                while (val !== ACTIONS.DONE && out.state === STATES.OPEN) {
+                    await out.put(val);
+                    val = await winner.take();
+                }
+                out.close(true);
+            }
+            catch(e) {
+                fail(out, e);
+            }
+        })();
+        return out;
+    }
+
+    /*
+        Returns Channel.race for `this`, `...channels`.
+    */
+    race(...channels: Array<Channel>) {
+        return Channel.race(this, ...channels);
+    }
+
+    static unpipe(parent: Channel, ...channels: Array<Channel>) {
+        for (let [ index, pipe ] of Array.entries(parent.pipeline)) {
+            for (let ch2 of channels) {
+                if (pipe === ch2) {
+                    parent.pipeline.splice(index, 1);
+                    notify(parent, 'unpipe', pipe);
+                }
+            }
         }
-        return [ first, last ];
+        if (parent.pipeline.length === 0 && parent[ACTIONS.CANCEL])
+            parent[ACTIONS.CANCEL](); // don't spin the automatic pipe method when no pipeline is attached
+        return parent;
+    }
+
+    unpipe(...channels: Array<Channel>) {
+        return Channel.unpipe(this, ...channels);
     }
 
     /*
-        Builds a pipeline from a parent channel
-        to one or more children.
+        Builds a channel which receives each chunk emitted by a readable stream,
+        using any provided arguments in the same way as the constructor.
 
-        This will automatically pipe values from
-        the parent onto each of the children.
+        The stream is paused while a put is blocked, and resumed
+        once the channel accepts the chunk. When the stream ends,
+        the channel and its pipeline are closed, and if the stream
+        errors, the channel fails with that error.
+    */
+    static fromReadable(readable: Object, ...argv) {
+        let ch = new Channel(...argv);
+        readable.on('data', async chunk => {
+            readable.pause();
+            let result = await ch.put(chunk).catch(() => ACTIONS.DONE);
+            if (result === ACTIONS.DONE)
+                readable.destroy();
+            else
+                readable.resume();
+        });
+        readable.on('end', () => {
+            ch.close(true);
+        });
+        readable.on('error', e => {
+            fail(ch, e);
+        });
+        return ch;
+    }
+
+    /*
+        Writes every value taken from the channel onto a writable stream,
+        waiting for the stream to drain whenever `write()` returns false.
+
+        The stream is ended along with the channel
+        unless `{ end: false }` is provided.
 
-        (dev note: careful, errors which are thrown from here
-         do NOT bubble up to the user yet in nodejs.
-         will be fixed in the future, supposedly).
+        Returns a promise which resolves once the channel is done
+        and the stream has finished, or rejects if either the
+        channel or the stream errors. A value taken while the stream
+        errors is placed back on the channel, rather than written.
     */
-    static pipe(parent: Channel, ...channels: Array<Channel>) {
-        parent.pipeline.push(...channels);
-        if (!parent[ACTIONS.CANCEL]) {
-            let running = true;
+    static toWritable(ch: Channel, writable: Object, { end = true } = {}) {
+        return new Promise((resolve, reject) => {
+            let failed = false;
+            let drained = null;
+            let errored = e => {
+                failed = true;
+                writable.removeListener('error', errored);
+                if (drained)
+                    drained();
+                reject(e);
+            };
+            let finished = () => {
+                writable.removeListener('error', errored);
+                resolve();
+            };
+            writable.on('error', errored);
             (async() => {
-                while (running) {
-                    let val = await parent.take();
-                    if (val === ACTIONS.DONE) {
-                        if (parent[SHOULD_CLOSE]) {
-                            for (let channel of parent.pipeline)
-                                channel.close(true);
+                let val = null;
+                try {
+                    while (!failed && (val = await ch.take()) !== ACTIONS.DONE) {
+                        if (failed) {
+                            returnTaken(ch, val);
+                            break;
+                        }
+                        if (!writable.write(val)) {
+                            await new Promise(res => {
+                                drained = res;
+                                writable.once('drain', res);
+                            });
+                            drained = null;
                         }
-                        break;
                     }
-                    await* parent.pipeline.map(x => x.put(val)); // eslint-disable-line no-loop-func
                 }
+                catch(e) {
+                    errored(e);
+                }
+                if (failed)
+                    return;
+                if (end)
+                    writable.end(finished);
+                else
+                    finished();
             })();
-            parent[ACTIONS.CANCEL] = () => {
-                running = false;
-            };
-        }
-        return channels[channels.length - 1];
+        });
     }
 
     /*
-        Returns Channel.pipe for `this`, `...channels`.
+        Returns Channel.toWritable for `this`, `writable`, `options`.
     */
-    pipe(...channels: Array<Channel>) {
-        return Channel.pipe(this, ...channels);
+    toWritable(writable: Object, options: Object = {}) {
+        return Channel.toWritable(this, writable, options);
     }
 
     /*
-        Pipes all provided channels into a new, single destination.
-    */
-    static merge(...channels: Array<Channel>) {
-        let child = new Channel();
-        for (let parent of channels)
-            parent.pipe(child);
-        return child;
-    }
+        Wraps a channel pipeline in a Duplex stream,
+        so that it can be used in the middle of `stream.pipeline()`.
 
-    /*
-        Returns Channel.merge for `this`, `...channels`.
-    */
-    merge(...channels: Array<Channel>) {
-        return Channel.merge(this, ...channels);
-    }
+        Chunks written to the stream are put onto `input`,
+        and values taken from `output` are read from the stream.
+        Finishing the writable side closes the entire pipeline from `input`,
+        and the readable side ends once `output` is done.
+        If `output` fails, the stream is destroyed with its error,
+        and writing a chunk once `input` is no longer open errors the stream.
 
-    static unpipe(parent: Channel, ...channels: Array<Channel>) {
-        for (let [ index, pipe ] of Array.entries(parent.pipeline)) {
-            for (let ch2 of channels) {
-                if (pipe === ch2)
-                    parent.pipeline.splice(index, 1);
+        Any options are passed on to the Duplex, which uses `objectMode` by default.
+
+        Examples:
+            Channel.toDuplex(ch)                                -> read back whatever is written to ch
+            Channel.toDuplex(...Channel.pipeline(fn1, fn2))     -> read back values from the end of a pipeline
+    */
+    static toDuplex(input: Channel, output: Channel = input, options: Object = {}) {
+        let reading = false;
+        let duplex = new Duplex({
+            objectMode: true,
+            ...options,
+            write(chunk, encoding, callback) {
+                input.put(chunk).then(result => {
+                    if (result === ACTIONS.DONE)
+                        return callback(new Error('Cannot write to a channel which is no longer open!'));
+                    return callback();
+                }, callback);
+            },
+            final(callback) {
+                input.close(true);
+                callback();
+            },
+            read() {
+                if (reading)
+                    return;
+                reading = true;
+                (async() => {
+                    let more = true;
+                    try {
+                        while (more) {
+                            let val = await output.take();
+                            if (val === ACTIONS.DONE) {
+                                duplex.push(null);
+                                break;
+                            }
+                            more = duplex.push(val);
+                        }
+                    }
+                    catch(e) {
+                        duplex.destroy(e);
+                    }
+                    reading = false;
+                })();
             }
-        }
-        if (parent.pipeline.length === 0 && parent[ACTIONS.CANCEL])
-            parent[ACTIONS.CANCEL](); // don't spin the automatic pipe method when no pipeline is attached
-        return parent;
+        });
+        return duplex;
     }
 
-    unpipe(...channels: Array<Channel>) {
-        return Channel.unpipe(this, ...channels);
+    /*
+        Returns Channel.toDuplex for `this`, `output`, `options`.
+    */
+    toDuplex(output: Channel = this, options: Object = {}) {
+        return Channel.toDuplex(this, output, options);
     }
 }
 
 Channel.DONE = ACTIONS.DONE; // expose this so loops can listen for it
+Channel.TIMEOUT = ACTIONS.TIMEOUT;
+Channel.NO_VALUE = ACTIONS.NO_VALUE;
@@ -6,6 +6,10 @@ const MAX_SIZE = 4096;
 // makes it more difficult to debug, though.
 let ARR = '_arr';
 let SIZE = '_size';
+let DROPPED = '_dropped';
+let COMPARE = '_compare';
+let NEXT = '_next';
+let FIRST = '_first';
 
 // internal to be inherited
 class Data {
@@ -22,7 +26,7 @@ class Data {
     }
 
     [Symbol.iterator]() {
-        return this[ARR][Symbol.iterator](); // should be overridden for stacks, so we iterate from back to front
+        return this[ARR][Symbol.iterator](); // overridden for stacks, so we iterate from back to front
     }
 
     flush() {
@@ -44,6 +48,14 @@ class Data {
     values() {
         return [ ...this[ARR] ];
     }
+
+    remove(val) {
+        let index = this[ARR].indexOf(val);
+        if (index === -1)
+            return false;
+        this[ARR].splice(index, 1);
+        return true;
+    }
 }
 // Data[Symbol.toStringTag] = 'Data';
 
@@ -56,6 +68,10 @@ export class Stack extends Data {
         return 'Stack';
     }
 
+    [Symbol.iterator]() { // from the top of the stack to the bottom, in the order values would be popped
+        return [ ...this[ARR] ].reverse()[Symbol.iterator]();
+    }
+
     push(val) {
         this[ARR].push(val);
     }
@@ -156,3 +172,242 @@ export class FixedQueue extends Queue {
         return this[ARR].unshift(...vals);
     }
 }
+
+// a buffer which never blocks, and keeps the oldest values by dropping any pushed while full
+export class DroppingBuffer extends FixedQueue {
+    constructor(size = MAX_SIZE) {
+        super(size);
+        this[DROPPED] = 0;
+    }
+
+    get [Symbol.toStringTag]() {
+        return 'DroppingBuffer';
+    }
+
+    get dropped() {
+        return this[DROPPED];
+    }
+
+    push(val) {
+        if (this.length < this[SIZE])
+            return super.push(val);
+        this[DROPPED]++;
+    }
+
+    full() {
+        return false;
+    }
+}
+
+// a buffer which never blocks, and keeps the newest values by dropping the oldest while full
+export class SlidingBuffer extends FixedQueue {
+    constructor(size = MAX_SIZE) {
+        super(size);
+        this[DROPPED] = 0;
+    }
+
+    get [Symbol.toStringTag]() {
+        return 'SlidingBuffer';
+    }
+
+    get dropped() {
+        return this[DROPPED];
+    }
+
+    push(val) {
+        if (this.length >= this[SIZE]) {
+            this[ARR].shift();
+            this[DROPPED]++;
+        }
+        return super.push(val);
+    }
+
+    full() {
+        return false;
+    }
+}
+
+// values in a priority queue are kept on a binary heap as nodes of { val, seq, front },
+// where seq is the order they were added in, so that equal values keep that order,
+// and front marks values which were unshifted to go ahead of everything else
+function before(queue, a, b) {
+    if (a.front !== b.front)
+        return a.front;
+    let order = a.front ? 0 : queue[COMPARE](a.val, b.val);
+    return order < 0 || order === 0 && a.seq < b.seq;
+}
+
+function swap(arr, i, j) {
+    let tmp = arr[i];
+    arr[i] = arr[j];
+    arr[j] = tmp;
+}
+
+function siftUp(queue, index) {
+    let arr = queue[ARR];
+    while (index > 0) {
+        let parent = Math.floor((index - 1) / 2);
+        if (!before(queue, arr[index], arr[parent]))
+            break;
+        swap(arr, index, parent);
+        index = parent;
+    }
+}
+
+function siftDown(queue, index) {
+    let arr = queue[ARR];
+    for (;;) {
+        let first = index;
+        for (let child of [ index * 2 + 1, index * 2 + 2 ]) {
+            if (child < arr.length && before(queue, arr[child], arr[first]))
+                first = child;
+        }
+        if (first === index)
+            break;
+        swap(arr, index, first);
+        index = first;
+    }
+}
+
+function heapPush(queue, val) {
+    queue[ARR].push({ val, seq: queue[NEXT]++, front: false });
+    siftUp(queue, queue[ARR].length - 1);
+}
+
+function heapUnshift(queue, vals) {
+    // later unshifts go ahead of earlier ones, and each call keeps the order of its values
+    queue[FIRST] -= vals.length;
+    vals.forEach((val, i) => {
+        queue[ARR].push({ val, seq: queue[FIRST] + i, front: true });
+        siftUp(queue, queue[ARR].length - 1);
+    });
+    return queue[ARR].length;
+}
+
+function heapRemoveAt(queue, index) {
+    let arr = queue[ARR];
+    let last = arr.pop();
+    if (index < arr.length) {
+        arr[index] = last;
+        siftDown(queue, index);
+        siftUp(queue, index);
+    }
+}
+
+function heapShift(queue) {
+    if (queue[ARR].length === 0)
+        return undefined;
+    let { val } = queue[ARR][0];
+    heapRemoveAt(queue, 0);
+    return val;
+}
+
+function heapRemove(queue, val) {
+    let index = queue[ARR].findIndex(node => node.val === val);
+    if (index === -1)
+        return false;
+    heapRemoveAt(queue, index);
+    return true;
+}
+
+function heapValues(queue) {
+    return [ ...queue[ARR] ]
+        .sort((a, b) => before(queue, a, b) ? -1 : 1)
+        .map(node => node.val);
+}
+
+// a queue which shifts values in order of a comparator (as used by Array#sort),
+// and in the order they were pushed for values which compare as equal
+export class PriorityQueue extends List {
+    constructor(compare = () => 0) {
+        super();
+        this[COMPARE] = compare;
+        this[NEXT] = 0;
+        this[FIRST] = 0;
+    }
+
+    get [Symbol.toStringTag]() {
+        return 'PriorityQueue';
+    }
+
+    [Symbol.iterator]() {
+        return heapValues(this)[Symbol.iterator]();
+    }
+
+    toString() {
+        return heapValues(this).join(', ');
+    }
+
+    values() {
+        return heapValues(this);
+    }
+
+    push(val) {
+        heapPush(this, val);
+    }
+
+    shift() {
+        return heapShift(this);
+    }
+
+    peek() {
+        let node = this[ARR][0];
+        return node && node.val;
+    }
+
+    remove(val) {
+        return heapRemove(this, val);
+    }
+
+    unshift(...vals) { // places values ahead of everything else, regardless of the comparator
+        return heapUnshift(this, vals);
+    }
+}
+
+// a fixed size version of PriorityQueue, for use as a buffer
+export class FixedPriorityQueue extends FixedQueue {
+    constructor(size = MAX_SIZE, compare = () => 0) {
+        super(size);
+        this[COMPARE] = compare;
+        this[NEXT] = 0;
+        this[FIRST] = 0;
+    }
+
+    get [Symbol.toStringTag]() {
+        return 'FixedPriorityQueue';
+    }
+
+    [Symbol.iterator]() {
+        return heapValues(this)[Symbol.iterator]();
+    }
+
+    toString() {
+        return heapValues(this).join(', ');
+    }
+
+    values() {
+        return heapValues(this);
+    }
+
+    push(val) {
+        if (!this.full())
+            heapPush(this, val);
+    }
+
+    shift() {
+        return heapShift(this);
+    }
+
+    peek() {
+        let node = this[ARR][0];
+        return node && node.val;
+    }
+
+    remove(val) {
+        return heapRemove(this, val);
+    }
+
+    unshift(...vals) { // places values ahead of everything else, regardless of the comparator
+        return heapUnshift(this, vals);
+    }
+}
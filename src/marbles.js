@@ -0,0 +1,195 @@
+"use strict";
+
+import Channel from './channel.js';
+import { VirtualScheduler } from './scheduler.js';
+
+/*
+    Marble diagrams describe what happens on a channel over time,
+    one character per frame:
+
+    -       : Nothing happens during the frame.
+    a       : A value is put (or taken). Looked up in the provided values,
+              or used as-is when missing.
+    |       : The channel closes (or is taken from as `Channel.DONE`).
+    #       : The channel fails with the provided error.
+    (ab|)   : Everything inside of the parentheses happens during the same frame.
+
+    Spaces are ignored, so diagrams can be lined up with one another.
+*/
+
+const KINDS = {
+    VALUE : 'value',
+    DONE  : 'done',
+    ERROR : 'error'
+};
+
+/*
+    Parses a marble diagram into a list of `{ frame, kind, value }` events.
+*/
+function parse(diagram: String, values: ?Object, error: any = 'error') {
+    let lookup = values || {};
+    let events = [];
+    let frame = 0;
+    let grouped = false;
+    for (let char of diagram) {
+        if (char === '(')
+            grouped = true;
+        else if (char === ')') {
+            grouped = false;
+            frame++;
+        }
+        else if (char === '-')
+            frame++;
+        else if (char !== ' ') {
+            if (char === '|')
+                events.push({ frame, kind: KINDS.DONE });
+            else if (char === '#')
+                events.push({ frame, kind: KINDS.ERROR, value: error });
+            else
+                events.push({ frame, kind: KINDS.VALUE, value: char in lookup ? lookup[char] : char });
+            if (!grouped)
+                frame++;
+        }
+    }
+    return events;
+}
+
+/*
+    Determines whether two values are deeply equal.
+*/
+function same(a: any, b: any) {
+    if (a === b)
+        return true;
+    if (!a || !b || typeof a !== 'object' || typeof b !== 'object')
+        return false;
+    if (a instanceof Error && b instanceof Error)
+        return a.message === b.message;
+    let keys = Object.keys(a);
+    if (keys.length !== Object.keys(b).length)
+        return false;
+    return keys.every(key => same(a[key], b[key]));
+}
+
+/*
+    Writes a list of events back out as a marble diagram,
+    using the keys of `values` where possible, for error messages.
+*/
+function stringify(events: Array<Object>, values: ?Object) {
+    let lookup = values || {};
+    let last = events.reduce((max, x) => Math.max(max, x.frame), -1);
+    let diagram = '';
+    for (let frame = 0; frame <= last; frame++) {
+        let chars = events.filter(x => x.frame === frame).map(({ kind, value }) => {
+            if (kind === KINDS.DONE)
+                return '|';
+            if (kind === KINDS.ERROR)
+                return '#';
+            let key = Object.keys(lookup).find(x => same(lookup[x], value));
+            return typeof key === 'undefined' ? String(value) : key;
+        });
+        if (chars.length === 0)
+            diagram += '-';
+        else if (chars.length === 1)
+            diagram += chars[0];
+        else
+            diagram += `(${chars.join('')})`;
+    }
+    return diagram;
+}
+
+/*
+    Records everything taken from a channel, until it ends or fails,
+    as a list of events in frames of `size`.
+*/
+async function record(ch: Channel, scheduler: VirtualScheduler, size: Number) {
+    let events = [];
+    let frame = () => Math.floor(scheduler.now() / size);
+    try {
+        let val = await ch.take();
+        while (val !== Channel.DONE) {
+            events.push({ frame: frame(), kind: KINDS.VALUE, value: val });
+            val = await ch.take();
+        }
+        events.push({ frame: frame(), kind: KINDS.DONE });
+    }
+    catch(e) {
+        events.push({ frame: frame(), kind: KINDS.ERROR, value: e });
+    }
+    return events;
+}
+
+/*
+    Wraps a test to run on virtual time, handing it a fresh VirtualScheduler
+    in place of `Channel.scheduler`, and putting the previous scheduler back afterwards.
+*/
+export function virtual(fn: Function) {
+    return async() => {
+        let previous = Channel.scheduler;
+        let scheduler = new VirtualScheduler();
+        Channel.scheduler = scheduler;
+        try {
+            await fn(scheduler);
+        }
+        finally {
+            Channel.scheduler = previous;
+        }
+    };
+}
+
+/*
+    Wraps a test to run on virtual time (see `virtual()`), handing it helpers
+    for building and checking channels with marble diagrams.
+
+    Helpers:
+        hot(diagram, values, error)      : Builds a channel which receives values,
+                                           closes or fails as the diagram describes,
+                                           whether or not anything is taking from it.
+        expectChannel(ch)                : Starts taking from a channel. Call
+                                           `.toEmit(diagram, values, error)` on the result
+                                           to describe what it should receive.
+        scheduler                        : The VirtualScheduler in use.
+
+    Once the test returns, every timer is run, and the wrapped test rejects
+    if any channel received anything other than what was expected.
+
+    Options:
+        frame : How long each frame of a diagram lasts, in virtual ms (defaults to 1).
+*/
+export function marbles(fn: Function, { frame: size = 1 } = {}) {
+    return virtual(async scheduler => {
+        let expectations = [];
+        let hot = (diagram, values, error) => {
+            let ch = new Channel();
+            for (let { frame, kind, value } of parse(diagram, values, error)) {
+                scheduler.setTimeout(() => {
+                    if (kind === KINDS.VALUE)
+                        ch.put(value).catch(() => {});
+                    else if (kind === KINDS.DONE)
+                        ch.close(true);
+                    else
+                        ch.fail(value);
+                }, frame * size);
+            }
+            return ch;
+        };
+        let expectChannel = ch => {
+            let recording = record(ch, scheduler, size);
+            return {
+                toEmit(diagram, values, error) {
+                    expectations.push({ recording, expected: parse(diagram, values, error), values });
+                }
+            };
+        };
+        await fn({ hot, expectChannel, scheduler });
+        await scheduler.runAll();
+        for (let { recording, expected, values } of expectations) {
+            let actual = await recording;
+            let matches = actual.length === expected.length && actual.every((x, i) => {
+                let y = expected[i];
+                return x.frame === y.frame && x.kind === y.kind && same(x.value, y.value);
+            });
+            if (!matches)
+                throw new Error(`Expected channel to emit '${stringify(expected, values)}', but it emitted '${stringify(actual, values)}'!`);
+        }
+    });
+}
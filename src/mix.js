@@ -0,0 +1,129 @@
+"use strict";
+
+import Channel, { ACTIONS, STATES } from './channel.js';
+import { DroppingBuffer } from './data-structures.js';
+
+const CHANGES = Symbol('mix_changes');
+const SOLO_MODE = Symbol('mix_solo_mode');
+
+/*
+    What happens to the inputs of a mix which are not soloed,
+    while any of its inputs are soloed.
+*/
+export const SOLO_MODES = {
+    // keep taking values from the input, discarding them
+    MUTE  : 'mute',
+    // stop taking values from the input
+    PAUSE : 'pause'
+};
+
+/*
+    Determines which inputs of a mix should currently be taken from,
+    and which of those should have their values put onto the output.
+*/
+function mixState(mix: Mix) {
+    let inputs = [ ...mix.inputs ];
+    let solos = inputs.filter(([ , x ]) => x.solo);
+    let reads = inputs.filter(([ , x ]) => !x.pause);
+    if (solos.length > 0 && mix[SOLO_MODE] === SOLO_MODES.PAUSE)
+        reads = solos;
+    return {
+        reads: reads.map(([ ch ]) => ch),
+        puts: (solos.length > 0 ? solos : inputs.filter(([ , x ]) => !x.mute)).map(([ ch ]) => ch)
+    };
+}
+
+/*
+    Takes values from the inputs of a mix for as long as its output is open,
+    starting over whenever the inputs or their controls change.
+
+    Inputs which end are removed from the mix.
+    If an input fails, the output fails with the same error.
+*/
+async function mixing(mix: Mix) {
+    let { out } = mix;
+    try {
+        while (out.state === STATES.OPEN) {
+            let { reads, puts } = mixState(mix);
+            let { value, channel } = await Channel.select([ mix[CHANGES], ...reads ]);
+            if (channel !== mix[CHANGES]) {
+                if (value === ACTIONS.DONE)
+                    mix.unmix(channel);
+                else if (puts.includes(channel))
+                    await out.put(value);
+            }
+        }
+    }
+    catch(e) {
+        out.fail(e);
+    }
+}
+
+/*
+    Puts the values of any number of input channels onto a single output.
+
+    Unlike `Channel.merge()`, inputs can be added and removed at any time,
+    and each input can be toggled to be muted (taken from, but discarded),
+    paused (no longer taken from), or soloed (only soloed inputs reach the output).
+*/
+export class Mix {
+
+    // The channel which values are put onto
+    out: Channel;
+
+    // A Map of input channels to their `{ mute, pause, solo }` controls
+    inputs: Map;
+
+    constructor(out: Channel) {
+        this.out        = out;
+        this.inputs     = new Map();
+        this[CHANGES]   = new Channel(new DroppingBuffer(1));
+        this[SOLO_MODE] = SOLO_MODES.MUTE;
+        mixing(this);
+    }
+
+    /*
+        Adds an input channel to the mix, returning the channel.
+    */
+    admix(ch: Channel) {
+        return this.toggle(ch);
+    }
+
+    /*
+        Removes an input channel from the mix.
+    */
+    unmix(ch: Channel) {
+        this.inputs.delete(ch);
+        this[CHANGES].offer(true);
+    }
+
+    /*
+        Removes every input channel from the mix.
+    */
+    unmixAll() {
+        this.inputs.clear();
+        this[CHANGES].offer(true);
+    }
+
+    /*
+        Updates any of the `{ mute, pause, solo }` controls of an input channel,
+        adding the channel to the mix if needed. Returns the channel.
+    */
+    toggle(ch: Channel, controls: Object = {}) {
+        let { mute = false, pause = false, solo = false } = this.inputs.get(ch) || {};
+        this.inputs.set(ch, { mute, pause, solo, ...controls });
+        this[CHANGES].offer(true);
+        return ch;
+    }
+
+    /*
+        Sets what happens to inputs which are not soloed while others are,
+        as one of `SOLO_MODES` (defaults to `SOLO_MODES.MUTE`).
+    */
+    soloMode(mode: String) {
+        if (!Object.keys(SOLO_MODES).some(x => SOLO_MODES[x] === mode))
+            throw new Error(`Unknown solo mode '${mode}'!`);
+        this[SOLO_MODE] = mode;
+        this[CHANGES].offer(true);
+    }
+}
@@ -0,0 +1,155 @@
+"use strict";
+
+import Channel, { ACTIONS, STATES } from './channel.js';
+import { endSubscription } from './publication.js';
+
+const IS_DISTRIBUTING = Symbol('mult_distributing');
+
+export const POLICIES = {
+    // wait for each put onto the tap, holding back the source
+    BLOCK  : 'block',
+    // offer each value to the tap, dropping it when the tap is full
+    DROP   : 'drop',
+    // keep only the latest value not yet put onto the tap
+    LATEST : 'latest'
+};
+
+/*
+    Puts a value onto a tap, giving up if the tap is removed while waiting.
+    Taps which have closed or failed are untapped.
+*/
+async function deliverPut(mult: Mult, tap: Object, val: any) {
+    let r = await Promise.race([ tap.channel.put(val).catch(() => ACTIONS.DONE), tap.untapped ]);
+    if (r === ACTIONS.DONE)
+        mult.untap(tap.channel);
+}
+
+/*
+    Puts the latest value held for a tap, until no newer value arrives
+    while waiting. Closes the tap afterwards if the source has since ended.
+*/
+async function pumpLatest(mult: Mult, tap: Object) {
+    tap.pumping = true;
+    while (tap.latest) {
+        let { val } = tap.latest;
+        tap.latest = null;
+        await deliverPut(mult, tap, val);
+    }
+    tap.pumping = false;
+    if (!mult[IS_DISTRIBUTING] && mult.taps.includes(tap))
+        endSubscription(mult, tap);
+}
+
+/*
+    Hands a value to a tap, according to its policy.
+
+    Resolves once a blocking tap has accepted the value,
+    or has been untapped.
+*/
+async function deliver(mult: Mult, tap: Object, val: any) {
+    let { channel } = tap;
+    if (tap.policy === POLICIES.DROP) {
+        if (!channel.offer(val) && channel.state !== STATES.OPEN)
+            mult.untap(channel);
+    }
+    else if (tap.policy === POLICIES.LATEST) {
+        tap.latest = { val };
+        if (!tap.pumping)
+            pumpLatest(mult, tap);
+    }
+    else
+        await deliverPut(mult, tap, val);
+}
+
+/*
+    Takes values from the source of a mult until it ends,
+    handing each one to every tap attached when it was taken.
+
+    Once every blocking tap has accepted the value,
+    the next value is taken from the source.
+*/
+async function multiply(mult: Mult) {
+    let { source } = mult;
+    mult[IS_DISTRIBUTING] = true;
+    try {
+        let val = await source.take();
+        while (val !== ACTIONS.DONE) {
+            await* [ ...mult.taps ].map(tap => deliver(mult, tap, val)); // eslint-disable-line no-loop-func
+            val = await source.take();
+        }
+    }
+    catch(e) {
+        source.fail(e);
+    }
+    mult[IS_DISTRIBUTING] = false;
+    for (let tap of mult.taps) {
+        if (!tap.pumping || source.state === STATES.ERRORED)
+            endSubscription(mult, tap);
+    }
+}
+
+/*
+    Broadcasts the values of a source channel to any number of taps.
+
+    Unlike `Channel#pipe()`, each tap chooses what happens when it
+    can not keep up, so that a slow tap does not have to stall the others.
+    See `POLICIES` for the available policies.
+*/
+export class Mult {
+
+    // The channel which values are taken from
+    source: Channel;
+
+    // An Array of the taps currently attached
+    taps: Array<Object>;
+
+    constructor(source: Channel) {
+        this.source = source;
+        this.taps   = [];
+        multiply(this);
+    }
+
+    /*
+        Taps a channel into the mult, returning the channel.
+        The channel receives values from the next value taken from the source.
+
+        Options:
+            close  : Whether or not to close the channel once the source ends (defaults to true).
+            policy : One of `POLICIES`, for when the channel can not keep up (defaults to `POLICIES.BLOCK`).
+    */
+    tap(ch: Channel, { close = true, policy = POLICIES.BLOCK } = {}) {
+        if (!Object.keys(POLICIES).some(x => POLICIES[x] === policy))
+            throw new Error(`Unknown tap policy '${policy}'!`);
+        let tap = { channel: ch, close, policy, latest: null, pumping: false };
+        tap.untapped = new Promise(resolve => {
+            tap.release = resolve;
+        });
+        if (!this[IS_DISTRIBUTING])
+            endSubscription(this, tap);
+        else if (!this.taps.some(x => x.channel === ch))
+            this.taps.push(tap);
+        return ch;
+    }
+
+    /*
+        Removes a channel from the mult.
+
+        A value still waiting to be put onto the channel is left there,
+        and no longer holds back the remaining taps.
+    */
+    untap(ch: Channel) {
+        for (let tap of this.taps.filter(x => x.channel === ch)) {
+            tap.latest = null;
+            tap.release();
+        }
+        this.taps = this.taps.filter(x => x.channel !== ch);
+    }
+
+    /*
+        Removes every channel from the mult.
+    */
+    untapAll() {
+        for (let tap of this.taps)
+            this.untap(tap.channel);
+    }
+}
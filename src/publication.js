@@ -0,0 +1,118 @@
+"use strict";
+
+import Channel, { ACTIONS, STATES } from './channel.js';
+
+const IS_DISTRIBUTING = Symbol('publication_distributing');
+
+/*
+    Takes values from the source of a publication until it ends,
+    putting each one onto the channels subscribed to its topic.
+
+    Values whose topic has no subscribers are dropped.
+    If the source fails (or the topic function throws),
+    every subscriber fails with the same error.
+*/
+async function publish(pub: Publication) {
+    let { source } = pub;
+    pub[IS_DISTRIBUTING] = true;
+    try {
+        let val = await source.take();
+        while (val !== ACTIONS.DONE) {
+            let subs = pub.topics.get(pub.topicFn(val));
+            if (subs)
+                await* subs.map(({ channel }) => channel.put(val).catch(() => {})); // eslint-disable-line no-loop-func
+            val = await source.take();
+        }
+    }
+    catch(e) {
+        source.fail(e);
+    }
+    pub[IS_DISTRIBUTING] = false;
+    for (let subs of pub.topics.values()) {
+        for (let sub of subs)
+            endSubscription(pub, sub);
+    }
+}
+
+/*
+    Passes the end of a source on to a subscription (or the tap of a `Mult`),
+    failing its channel if the source failed,
+    or closing it if the subscription asked to be closed.
+*/
+export function endSubscription({ source }, { channel, close }) {
+    if (source.state === STATES.ERRORED)
+        channel.fail(source.error);
+    else if (close)
+        channel.close(true);
+}
+
+/*
+    Routes the values of a source channel by topic,
+    as returned by a topic function for each value.
+
+    Any number of channels can subscribe to a topic,
+    and each value is only put onto the channels
+    subscribed to its topic. Values with no subscribers
+    are dropped, rather than blocking the source.
+*/
+export class Publication {
+
+    // The channel which values are taken from
+    source: Channel;
+
+    // A function returning the topic for a value
+    topicFn: Function;
+
+    // A Map of topics to the subscriptions for that topic
+    topics: Map;
+
+    constructor(source: Channel, topicFn: Function) {
+        this.source  = source;
+        this.topicFn = topicFn;
+        this.topics  = new Map();
+        publish(this);
+    }
+
+    /*
+        Subscribes a channel to a topic, returning the channel.
+
+        Accepts an optional `close`, to signify whether or not
+        to close the channel once the source ends (defaults to true).
+    */
+    sub(topic: any, ch: Channel, { close = true } = {}) {
+        let subs = this.topics.get(topic) || [];
+        let sub = { channel: ch, close };
+        if (!this[IS_DISTRIBUTING])
+            endSubscription(this, sub);
+        else if (!subs.some(x => x.channel === ch)) {
+            subs.push(sub);
+            this.topics.set(topic, subs);
+        }
+        return ch;
+    }
+
+    /*
+        Unsubscribes a channel from a topic.
+    */
+    unsub(topic: any, ch: Channel) {
+        let subs = this.topics.get(topic);
+        if (!subs)
+            return;
+        subs = subs.filter(x => x.channel !== ch);
+        if (subs.length === 0)
+            this.topics.delete(topic);
+        else
+            this.topics.set(topic, subs);
+    }
+
+    /*
+        Unsubscribes every channel from the provided topics,
+        or from every topic if none are provided.
+    */
+    unsubAll(...topics: Array<any>) {
+        if (topics.length === 0)
+            this.topics.clear();
+        for (let topic of topics)
+            this.topics.delete(topic);
+    }
+}
@@ -0,0 +1,103 @@
+"use strict";
+
+const TIME = Symbol('scheduler_time');
+const TIMERS = Symbol('scheduler_timers');
+const NEXT_ID = Symbol('scheduler_next_id');
+
+/*
+    The default scheduler, which all of the timing inside of a channel goes through,
+    such as `Channel#close()`, timeouts, and the time operators.
+
+    A scheduler only needs these three methods, so any object with the same
+    methods can be used in its place through `Channel.scheduler`,
+    or passed to a single time operator as `{ clock }`.
+*/
+export const clock = {
+    now          : () => Date.now(),
+    setTimeout   : (fn, delay) => setTimeout(fn, delay),
+    clearTimeout : id => clearTimeout(id)
+};
+
+/*
+    Resolves once every pending promise callback has run,
+    without going through any scheduler.
+*/
+function settle() {
+    return new Promise(resolve => setImmediate(resolve));
+}
+
+/*
+    A scheduler whose time only moves forward when asked to,
+    for making channel interactions reproducible in tests.
+
+    Timers run in the order they are due, and timers due at
+    the same time run in the order they were scheduled.
+    Between each timer, any pending promise callbacks are allowed to run,
+    so that channels can react to one timer before the next.
+*/
+export class VirtualScheduler {
+
+    constructor(now: Number = 0) {
+        this[TIME] = now;
+        this[TIMERS] = [];
+        this[NEXT_ID] = 1;
+    }
+
+    /*
+        Gets the number of timers waiting to run.
+    */
+    get pending() {
+        return this[TIMERS].length;
+    }
+
+    now() {
+        return this[TIME];
+    }
+
+    setTimeout(fn: Function, delay: Number = 0) {
+        let id = this[NEXT_ID]++;
+        this[TIMERS].push({ id, at: this[TIME] + Math.max(delay || 0, 0), fn });
+        this[TIMERS].sort((a, b) => a.at - b.at || a.id - b.id);
+        return id;
+    }
+
+    clearTimeout(id: Number) {
+        this[TIMERS] = this[TIMERS].filter(x => x.id !== id);
+    }
+
+    /*
+        Moves time forward by `ms`, running every timer which becomes due
+        along the way (including any scheduled by those timers).
+    */
+    async advance(ms: Number = 0) {
+        let end = this[TIME] + ms;
+        await settle();
+        while (this[TIMERS].length > 0 && this[TIMERS][0].at <= end) {
+            let timer = this[TIMERS].shift();
+            this[TIME] = timer.at;
+            timer.fn();
+            await settle();
+        }
+        this[TIME] = end;
+    }
+
+    /*
+        Runs timers until there are none left, moving time forward as needed.
+
+        Throws once `limit` timers have run, since a repeating timer
+        (such as `Channel.interval()`) would otherwise never stop.
+    */
+    async runAll(limit: Number = 10000) {
+        let count = 0;
+        await settle();
+        while (this[TIMERS].length > 0) {
+            if (count >= limit)
+                throw new Error(`VirtualScheduler#runAll() ran ${limit} timers without running out!`);
+            let timer = this[TIMERS].shift();
+            this[TIME] = timer.at;
+            timer.fn();
+            count++;
+            await settle();
+        }
+    }
+}
@@ -1,11 +1,52 @@
 "use strict";
 
-import Channel, { STATES, timeout } from '../src/channel.js';
-import { List, FixedQueue } from '../src/data-structures.js';
+import { EventEmitter } from 'events';
+import { Readable, Writable, pipeline } from 'stream';
+import Channel, { STATES, POLICIES, SOLO_MODES, ORDERS, VirtualScheduler, timeout } from '../src/channel.js';
+import {
+    List, Stack, FixedStack, FixedQueue, DroppingBuffer, SlidingBuffer, PriorityQueue, FixedPriorityQueue
+} from '../src/data-structures.js';
 import assert from 'zana-assert';
-import wrapMocha from './util/wrap-mocha.js'; // eslint-disable-line no-unused-vars
+import { marbles } from '../src/marbles.js';
+import { virtual } from './util/wrap-mocha.js';
 let log = ::console.log; // eslint-disable-line
 
+// resolves with the error a promise rejects with,
+// or throws if the promise resolves instead
+async function rejection(promise: Promise) {
+    try {
+        await promise;
+    }
+    catch(e) {
+        return e;
+    }
+    throw new Error('Expected the promise to be rejected!');
+}
+
+// node 10 has no AbortController, so build the smallest stand-in
+// which satisfies the parts of the AbortSignal interface a channel uses
+function abortable() {
+    let listeners = [];
+    let signal = {
+        aborted: false,
+        addEventListener(type, fn) {
+            listeners.push(fn);
+        },
+        removeEventListener(type, fn) {
+            listeners = listeners.filter(x => x !== fn);
+        }
+    };
+    return {
+        signal,
+        listeners: () => listeners.length,
+        abort() {
+            signal.aborted = true;
+            for (let fn of listeners)
+                fn();
+        }
+    };
+}
+
 describe('Channel', function() {
 
     this.timeout(100);
@@ -62,6 +103,42 @@ describe('Channel', function() {
         });
     });
 
+    describe('overflow buffers', () => {
+
+        it('should initialize with a provided buffer', async() => {
+            let buf = new SlidingBuffer(4);
+            let fn = x => x;
+            let ch = new Channel(buf, fn);
+            assert.equal(ch.buf, buf);
+            assert.equal(ch.size, 4);
+            assert.equal(ch.transform, fn);
+        });
+
+        it('should keep the newest values with a sliding buffer', async() => {
+            let ch = new Channel(new SlidingBuffer(2));
+            await ch.put(1);
+            await ch.put(2);
+            await ch.put(3);
+            await ch.put(4);
+            assert.empty(ch.puts);
+            assert.equal(ch.buf.dropped, 2);
+            assert.equal(await ch.take(), 3);
+            assert.equal(await ch.take(), 4);
+        });
+
+        it('should keep the oldest values with a dropping buffer', async() => {
+            let ch = new Channel(new DroppingBuffer(2), x => x * 2);
+            await ch.put(1);
+            await ch.put(2);
+            await ch.put(3);
+            await ch.put(4);
+            assert.empty(ch.puts);
+            assert.equal(ch.buf.dropped, 2);
+            assert.equal(await ch.take(), 2);
+            assert.equal(await ch.take(), 4);
+        });
+    });
+
     describe('.from()', () => {
 
         it('can initialize a channel from an array', async() => {
@@ -114,6 +191,185 @@ describe('Channel', function() {
             let ch = Channel.from([ 1, 2, 3 ], true);
             assert.equal(ch.state, STATES.OPEN);
         });
+
+        it('can initialize a channel from an async iterable', async() => {
+            let i = 0;
+            let obj = {
+                [global.Symbol.asyncIterator]() {
+                    return {
+                        async next() {
+                            await timeout();
+                            i++;
+                            return i <= 3 ? { value: i, done: false } : { done: true };
+                        }
+                    };
+                }
+            };
+            let ch = Channel.from(obj);
+            assert.equal(await ch.take(), 1);
+            assert.equal(await ch.take(), 2);
+            assert.equal(await ch.take(), 3);
+            assert.equal(await ch.take(), Channel.DONE);
+            await ch.done();
+            assert.equal(ch.state, STATES.ENDED);
+        });
+    });
+
+    describe('sources', () => {
+
+        it('should build a channel from emitted events', async() => {
+            let emitter = new EventEmitter();
+            let ch = Channel.fromEvent(emitter, 'data', { endEvent: 'end' });
+            emitter.emit('data', 1);
+            emitter.emit('data', 2);
+            emitter.emit('end');
+            assert.equal(await ch.toArray(), [ 1, 2 ]);
+            assert.equal(emitter.listenerCount('data'), 0);
+            assert.equal(emitter.listenerCount('end'), 0);
+        });
+
+        it('should build a channel from dispatched events', async() => {
+            let listeners = {};
+            let target = {
+                addEventListener(name, fn) {
+                    listeners[name] = fn;
+                },
+                removeEventListener(name) {
+                    delete listeners[name];
+                }
+            };
+            let ch = Channel.fromEvent(target, 'message', { size: 2 });
+            listeners.message({ data: 1 });
+            assert.equal((await ch.take()).data, 1);
+            ch.close();
+            listeners.message({ data: 2 });
+            assert.false('message' in listeners);
+        });
+
+        it('should fail on error events', async() => {
+            let err = new Error('failed');
+            let emitter = new EventEmitter();
+            let ch = Channel.fromEvent(emitter, 'data', { errorEvent: 'error' });
+            emitter.emit('error', err);
+            assert.equal(await rejection(ch.take()), err);
+            assert.equal(emitter.listenerCount('data'), 0);
+        });
+
+        it('should use the provided buffer for events', async() => {
+            let emitter = new EventEmitter();
+            let ch = Channel.fromEvent(emitter, 'data', { buffer: new SlidingBuffer(2) });
+            for (let i = 1; i <= 4; i++)
+                emitter.emit('data', i);
+            await timeout();
+            assert.equal(await ch.take(), 3);
+            assert.equal(await ch.take(), 4);
+            assert.empty(ch.puts);
+        });
+
+        it('should build a channel from a promise', async() => {
+            let ch = Channel.fromPromise(Promise.resolve(1));
+            assert.equal(await ch.toArray(), [ 1 ]);
+        });
+
+        it('should fail when the promise rejects', async() => {
+            let err = new Error('failed');
+            let ch = Channel.fromPromise(Promise.reject(err));
+            assert.equal(await rejection(ch.take()), err);
+        });
+
+        it('should tick on an interval', async() => {
+            let clock = new VirtualScheduler();
+            let ch = Channel.interval(10, { clock });
+            await clock.advance(10);
+            assert.equal(await ch.take(), 0);
+            await clock.advance(10);
+            assert.equal(await ch.take(), 1);
+            ch.close();
+            await clock.advance(10);
+            assert.equal(clock.pending, 0);
+            assert.equal(await ch.take(), Channel.DONE);
+        });
+
+        it('should slow the interval down for a slow taker', async() => {
+            let clock = new VirtualScheduler();
+            let ch = Channel.interval(10, { clock });
+            await clock.advance(30);
+            assert.equal(clock.pending, 0);
+            assert.equal(await ch.take(), 0);
+            await clock.advance(0);
+            assert.equal(clock.pending, 1);
+        });
+
+        it('should tick ahead into a buffer', async() => {
+            let clock = new VirtualScheduler();
+            let ch = Channel.interval(10, { clock, size: 2 });
+            await clock.advance(30);
+            assert.equal(ch.length, 3);
+            assert.equal(await ch.take(), 0);
+            assert.equal(await ch.take(), 1);
+        });
+
+        it('should tick once after a delay', async() => {
+            let clock = new VirtualScheduler();
+            let ch = Channel.timer(10, { clock });
+            await clock.advance(10);
+            assert.equal(await ch.toArray(), [ 0 ]);
+            assert.equal(clock.pending, 0);
+        });
+
+        it('should tick after a delay, and then every period', async() => {
+            let clock = new VirtualScheduler();
+            let ch = Channel.timer(20, 5, { clock });
+            await clock.advance(15);
+            assert.true(ch.empty());
+            await clock.advance(5);
+            assert.equal(await ch.take(), 0);
+            await clock.advance(5);
+            assert.equal(await ch.take(), 1);
+            ch.close();
+        });
+    });
+
+    describe('#iterate()', () => {
+
+        it('should iterate over values until the channel is done', async() => {
+            let ch = Channel.from([ 1, 2, 3 ]);
+            let iterator = ch.iterate();
+            let arr = [];
+            for (let step = await iterator.next(); !step.done; step = await iterator.next())
+                arr.push(step.value);
+            assert.equal(arr, [ 1, 2, 3 ]);
+            assert.equal(await iterator.next(), { value: undefined, done: true });
+        });
+
+        it('should be used as the async iterator of a channel', async() => {
+            let ch = Channel.from([ 1 ]);
+            let iterator = ch[global.Symbol.asyncIterator]();
+            assert.equal(await iterator.next(), { value: 1, done: false });
+            assert.equal(await iterator.next(), { value: undefined, done: true });
+        });
+
+        it('should release a pending take when returned', async() => {
+            let ch = new Channel();
+            let iterator = ch.iterate();
+            let next = iterator.next();
+            assert.equal(ch.takes.length, 1);
+            await iterator.return();
+            assert.empty(ch.takes);
+            assert.equal(await next, { value: undefined, done: true });
+            assert.equal(ch.state, STATES.OPEN);
+        });
+
+        it('can close the channel when returned', async() => {
+            let ch = new Channel(2);
+            await ch.put(1);
+            await ch.put(2);
+            let iterator = ch.iterate({ close: true });
+            assert.equal((await iterator.next()).value, 1);
+            await iterator.return();
+            assert.equal(ch.state, STATES.CLOSED);
+            assert.equal(await ch.take(), 2);
+        });
     });
 
     describe('#size', () => {
@@ -166,6 +422,235 @@ describe('Channel', function() {
         });
     });
 
+    describe('#stats()', () => {
+
+        it('should count values put and taken', async() => {
+            let ch = new Channel(1);
+            await ch.put(1);
+            ch.put(2);
+            ch.tail(3);
+            let stats = ch.stats();
+            assert.equal(stats.state, STATES.OPEN);
+            assert.equal(stats.put, 1);
+            assert.equal(stats.taken, 0);
+            assert.equal(stats.queued, { puts: 1, takes: 0, tails: 1, buffer: 1 });
+            assert.equal(await ch.take(), 1);
+            assert.equal(await ch.take(), 2);
+            stats = Channel.stats(ch);
+            assert.equal(stats.put, 2);
+            assert.equal(stats.taken, 2);
+            assert.equal(stats.queued, { puts: 0, takes: 0, tails: 1, buffer: 0 });
+            ch.close();
+            assert.equal(await ch.take(), 3);
+            assert.equal(ch.stats().put, 3);
+        });
+
+        it('should not count withdrawn puts', async() => {
+            let ch = new Channel();
+            let { signal, abort } = abortable();
+            let aborted = ch.put(1, { signal });
+            let timedOut = ch.put(2, { timeout: 5 });
+            abort();
+            await rejection(aborted);
+            assert.equal(await timedOut, Channel.TIMEOUT);
+            assert.equal(ch.stats().put, 0);
+            ch.put(3);
+            assert.equal(await ch.take(), 3);
+            assert.equal(ch.stats().put, 1);
+        });
+
+        it('should count transformed, dropped and expanded values', async() => {
+            let ch = new Channel(4, (x, accept) => {
+                for (let i = 0; i < x; i++)
+                    accept(x);
+            });
+            ch.put(0);
+            ch.put(2);
+            ch.close();
+            assert.equal(await ch.toArray(), [ 2, 2 ]);
+            let { put, taken, dropped, transformed, expanded } = ch.stats();
+            assert.equal({ put, taken, dropped, transformed, expanded }, { put: 2, taken: 2, dropped: 1, transformed: 2, expanded: 2 });
+        });
+
+        it('should count values dropped by the transform or the buffer', async() => {
+            let ch = new Channel(x => x % 2 ? x : undefined);
+            ch.put(1);
+            ch.put(2);
+            ch.put(3);
+            ch.close();
+            assert.equal(await ch.toArray(), [ 1, 3 ]);
+            assert.equal(ch.stats().dropped, 1);
+
+            let dropping = new Channel(new DroppingBuffer(1));
+            await dropping.put(1);
+            await dropping.put(2);
+            assert.equal(dropping.stats().dropped, 1);
+        });
+
+        it('should measure time spent blocked', virtual(async scheduler => {
+            let ch = new Channel();
+            let put = ch.put(1);
+            await scheduler.advance(100);
+            assert.equal(ch.stats().blocked, { puts: 100, takes: 0 });
+            assert.equal(await ch.take(), 1);
+            await put;
+            await scheduler.advance(50);
+            assert.equal(ch.stats().blocked, { puts: 100, takes: 0 });
+            let take = ch.take();
+            await scheduler.advance(30);
+            ch.put(2);
+            assert.equal(await take, 2);
+            assert.equal(ch.stats().blocked, { puts: 100, takes: 30 });
+        }));
+
+        it('should build a snapshot for logging', async() => {
+            let ch = new Channel(2);
+            await ch.put(1);
+            ch.fail(new Error('failed'));
+            let snapshot = Channel.inspect(ch);
+            assert.equal(snapshot.state, 'errored');
+            assert.equal(snapshot.error, 'failed');
+            assert.equal(snapshot.size, 2);
+            assert.equal(snapshot.dropped, 1);
+            assert.equal(snapshot.queued.buffer, 0);
+            assert.equal(JSON.parse(JSON.stringify(snapshot)), snapshot);
+        });
+    });
+
+    describe('#on()', () => {
+
+        it('should emit values put and taken', async() => {
+            let ch = new Channel(x => x * 2);
+            let events = [];
+            ch.on('put', x => events.push([ 'put', x ])).on('take', x => events.push([ 'take', x ]));
+            ch.put(1);
+            assert.equal(await ch.take(), 2);
+            let take = ch.take();
+            assert.true(ch.offer(2));
+            assert.equal(await take, 4);
+            assert.equal(events, [ [ 'put', 1 ], [ 'take', 2 ], [ 'put', 2 ], [ 'take', 4 ] ]);
+        });
+
+        it('should emit close and end once each', async() => {
+            let ch = new Channel(1);
+            let events = [];
+            ch.on('close', () => events.push('close')).on('end', () => events.push('end'));
+            await ch.put(1);
+            ch.close();
+            ch.close();
+            assert.equal(events, [ 'close' ]);
+            assert.equal(await ch.take(), 1);
+            await ch.done();
+            assert.equal(events, [ 'close', 'end' ]);
+            ch.close();
+            await timeout();
+            assert.equal(ch.state, STATES.ENDED);
+            assert.equal(events, [ 'close', 'end' ]);
+        });
+
+        it('should emit values dropped by the transform', async() => {
+            let dropped = [];
+            let ch = new Channel(x => x > 1 ? x : undefined);
+            ch.on('drop', x => dropped.push(x));
+            ch.put(1);
+            ch.put(2);
+            assert.equal(await ch.take(), 2);
+            assert.equal(dropped, [ 1 ]);
+        });
+
+        it('should emit values dropped by the buffer', async() => {
+            let dropped = [];
+            let sliding = new Channel(new SlidingBuffer(1));
+            let dropping = new Channel(new DroppingBuffer(1));
+            sliding.on('drop', x => dropped.push([ 'sliding', x ]));
+            dropping.on('drop', x => dropped.push([ 'dropping', x ]));
+            await sliding.put(1);
+            await sliding.put(2);
+            await dropping.put(1);
+            await dropping.put(2);
+            assert.equal(dropped, [ [ 'sliding', 1 ], [ 'dropping', 2 ] ]);
+        });
+
+        it('should emit errors, and drop buffered values', async() => {
+            let events = [];
+            let err = new Error('failed');
+            let ch = new Channel(2);
+            ch.on('error', e => events.push([ 'error', e ])).on('drop', x => events.push([ 'drop', x ]));
+            await ch.put(1);
+            ch.fail(err);
+            assert.equal(events, [ [ 'error', err ], [ 'drop', 1 ] ]);
+        });
+
+        it('should emit pipes and unpipes', async() => {
+            let events = [];
+            let parent = new Channel();
+            let child = new Channel();
+            parent.on('pipe', x => events.push([ 'pipe', x ])).on('unpipe', x => events.push([ 'unpipe', x ]));
+            parent.pipe(child);
+            parent.unpipe(child);
+            assert.equal(events.length, 2);
+            assert.equal(events[0][0], 'pipe');
+            assert.true(events[0][1] === child);
+            assert.equal(events[1][0], 'unpipe');
+            assert.true(events[1][1] === child);
+        });
+
+        it('should remove listeners with off() and once()', async() => {
+            let ch = new Channel(4);
+            let taken = [];
+            let first = [];
+            let listener = x => taken.push(x);
+            ch.on('take', listener);
+            ch.once('take', x => first.push(x));
+            for (let val of [ 1, 2, 3 ])
+                await ch.put(val);
+            await ch.take();
+            ch.off('take', listener);
+            await ch.take();
+            assert.equal(taken, [ 1 ]);
+            assert.equal(first, [ 1 ]);
+
+            let once = x => first.push(x);
+            ch.once('take', once);
+            ch.off('take', once);
+            await ch.take();
+            assert.equal(first, [ 1 ]);
+        });
+
+        it('should rethrow errors from listeners without breaking the channel', async() => {
+            let err = new Error('listener');
+            let ch = new Channel(1);
+            ch.on('put', () => {
+                throw err;
+            });
+            let exposed = null;
+            let original = global.setTimeout;
+            global.setTimeout = fn => {
+                exposed = fn;
+            };
+            try {
+                ch.put(1); // accepted onto the buffer right away
+            }
+            finally {
+                global.setTimeout = original;
+            }
+            let thrown = null;
+            try {
+                exposed();
+            }
+            catch(e) {
+                thrown = e;
+            }
+            assert.true(thrown === err);
+            assert.equal(await ch.take(), 1);
+        });
+
+        it('should throw on unknown events', () => {
+            let ch = new Channel();
+            assert.throws(() => ch.on('ended', () => {}));
+        });
+    });
+
     describe('#empty()', () => {
 
         it('should be true when puts queue is empty', async() => {
@@ -341,6 +826,136 @@ describe('Channel', function() {
         });
     });
 
+    describe('#offer()', () => {
+
+        it('should place a value in free buffer space', async() => {
+            let ch = new Channel(1);
+            assert.true(ch.offer(1));
+            assert.false(ch.offer(2));
+            assert.equal(await ch.take(), 1);
+            assert.true(ch.empty());
+        });
+
+        it('should hand a value to a waiting take', async() => {
+            let ch = new Channel();
+            assert.false(ch.offer(1));
+            assert.empty(ch.puts);
+            let take = ch.take();
+            assert.true(ch.offer(2));
+            assert.equal(await take, 2);
+        });
+
+        it('should apply the transform to offered values', async() => {
+            let ch = new Channel(2, x => x * 2);
+            assert.true(ch.offer(3));
+            assert.equal(await ch.take(), 6);
+        });
+
+        it('should refuse values once the channel is closed', () => {
+            let ch = new Channel(2);
+            ch.close();
+            assert.false(ch.offer(1));
+        });
+
+        it('should not let a take time out while an offered value transforms', async() => {
+            let ch = new Channel(async x => {
+                await timeout(10);
+                return x * 2;
+            });
+            let take = ch.take({ timeout: 5 });
+            assert.true(ch.offer(1));
+            assert.empty(ch.takes);
+            assert.equal(await take, 2);
+            assert.empty(ch.puts);
+        });
+
+        it('should commit a select to only one offered value', async() => {
+            let a = new Channel(async x => x);
+            let b = new Channel(async x => x);
+            let sel = Channel.select([ a, b ]);
+            assert.true(a.offer(1));
+            assert.false(b.offer(2));
+            let { value, channel } = await sel;
+            assert.equal(value, 1);
+            assert.equal(channel, a);
+            assert.empty(b.takes);
+            assert.equal(b.stats().taken, 0);
+        });
+
+        it('should give the take back if the transform drops the offered value', async() => {
+            let ch = new Channel(x => x > 1 ? x : undefined);
+            let take = ch.take();
+            assert.true(ch.offer(1));
+            await timeout(0);
+            assert.equal(ch.takes.length, 1);
+            ch.put(2);
+            assert.equal(await take, 2);
+        });
+    });
+
+    describe('#poll()', () => {
+
+        it('should take a buffered value', async() => {
+            let ch = new Channel(2);
+            await ch.put(1);
+            assert.equal(await ch.poll(), 1);
+            assert.equal(await ch.poll(), Channel.NO_VALUE);
+            assert.empty(ch.takes);
+        });
+
+        it('should take a pending put', async() => {
+            let ch = new Channel(async x => x + 1);
+            let put = ch.put(1);
+            assert.equal(await ch.poll(), 2);
+            await put;
+            assert.empty(ch.takes);
+        });
+
+        it('should not wait for a put', async() => {
+            let ch = new Channel();
+            assert.equal(await ch.poll(), Channel.NO_VALUE);
+            assert.empty(ch.takes);
+        });
+
+        it('should resolve with done once the channel has ended', async() => {
+            let ch = new Channel(2);
+            await ch.put(1);
+            ch.close();
+            assert.equal(await ch.poll(), 1);
+            await ch.done();
+            assert.equal(await ch.poll(), Channel.DONE);
+        });
+
+        it('should reject when the channel has failed', async() => {
+            let err = new Error('failed');
+            let ch = new Channel();
+            ch.fail(err);
+            assert.equal(await rejection(ch.poll()), err);
+        });
+
+        it('should not be seen as a waiting take by offers', async() => {
+            let ch = new Channel(async x => x + 1);
+            let put = ch.put(1);
+            let poll = ch.poll();
+            assert.empty(ch.takes);
+            assert.false(ch.offer(2));
+            assert.equal(await poll, 2);
+            await put;
+            assert.empty(ch.puts);
+            assert.equal(await ch.poll(), Channel.NO_VALUE);
+        });
+
+        it('should leave room for offers once a buffered value is polled', async() => {
+            let ch = new Channel(1, async x => x + 1);
+            await ch.put(1);
+            let poll = ch.poll();
+            assert.true(ch.offer(2));
+            assert.equal(await poll, 2);
+            assert.equal(await ch.take(), 3);
+            assert.true(ch.empty());
+        });
+    });
+
     describe('#tail()', () => {
 
         // revisit later, less important
@@ -432,39 +1047,110 @@ describe('Channel', function() {
         });
     });
 
-    describe('#done()', () => {
+    describe('aggregation', () => {
 
-        it('should return a promise', async() => {
-            let ch = new Channel();
-            let d = ch.done();
-            assert.is(d, Promise);
+        it('should collect values into an array', async() => {
+            let ch = Channel.from([ 1, 2, 3 ]);
+            assert.equal(await ch.toArray(), [ 1, 2, 3 ]);
+            assert.equal(ch.state, STATES.ENDED);
         });
 
-        it('should resolve when the channel is ended', async() => {
-            let ch = new Channel();
-            let d = ch.done();
-            assert.equal(ch.state, STATES.OPEN);
-            ch.close();
-            await d;
-            assert.equal(ch.state, STATES.ENDED);
+        it('should reduce values', async() => {
+            let ch = Channel.from([ 1, 2, 3 ]);
+            assert.equal(await ch.reduce((acc, x) => acc + x, 10), 16);
         });
 
-        it('should resolve all promises when the channel is ended', async() => {
+        it('should reduce values asynchronously', async() => {
             let ch = new Channel();
-            let [ d1, d2, d3 ] = [ ch.done(), ch.done(), ch.done() ];
-            assert.equal(ch.state, STATES.OPEN);
+            let result = Channel.reduce(ch, async(acc, x) => {
+                await timeout(1);
+                return acc * x;
+            }, 1);
+            await ch.put(2);
+            await ch.put(3);
             ch.close();
-            await Promise.all([ d1, d2, d3 ]);
-            assert.equal(ch.state, STATES.ENDED);
+            assert.equal(await result, 6);
         });
-    });
 
-    describe('#pipe()', () => {
+        it('should collect values into other collections', async() => {
+            let map = await Channel.from([ [ 'a', 1 ], [ 'b', 2 ] ]).into(new Map());
+            assert.equal(map.get('b'), 2);
+            let set = await Channel.from([ 1, 1, 2 ]).into(new Set());
+            assert.equal(set.size, 2);
+            let obj = await Channel.from([ [ 'a', 1 ] ]).into({});
+            assert.equal(obj.a, 1);
+        });
 
-        it('should pipe values from one channel to another channel', async() => {
-            let ch1 = new Channel();
-            let ch2 = new Channel();
-            ch1.pipe(ch2);
+        it('should count values', async() => {
+            assert.equal(await Channel.from([ 1, 2, 3, 4 ]).count(), 4);
+            assert.equal(await Channel.from([]).count(), 0);
+        });
+
+        it('should call a function for each value in turn', async() => {
+            let ch = Channel.from([ 1, 2, 3 ]);
+            let arr = [];
+            let result = await ch.forEach(async x => {
+                await timeout(1);
+                arr.push(x);
+            });
+            assert.equal(result, undefined);
+            assert.equal(arr, [ 1, 2, 3 ]);
+        });
+
+        it('should reject when the channel fails', async() => {
+            let err = new Error('failed');
+            let ch = new Channel();
+            let result = ch.toArray();
+            await ch.put(1);
+            ch.fail(err);
+            assert.equal(await rejection(result), err);
+        });
+
+        it('should fail the channel when the function throws', async() => {
+            let err = new Error('bad value');
+            let ch = new Channel(4);
+            await ch.put(1);
+            let result = ch.forEach(() => {
+                throw err;
+            });
+            assert.equal(await rejection(result), err);
+            assert.equal(ch.error, err);
+        });
+    });
+
+    describe('#done()', () => {
+
+        it('should return a promise', async() => {
+            let ch = new Channel();
+            let d = ch.done();
+            assert.is(d, Promise);
+        });
+
+        it('should resolve when the channel is ended', async() => {
+            let ch = new Channel();
+            let d = ch.done();
+            assert.equal(ch.state, STATES.OPEN);
+            ch.close();
+            await d;
+            assert.equal(ch.state, STATES.ENDED);
+        });
+
+        it('should resolve all promises when the channel is ended', async() => {
+            let ch = new Channel();
+            let [ d1, d2, d3 ] = [ ch.done(), ch.done(), ch.done() ];
+            assert.equal(ch.state, STATES.OPEN);
+            ch.close();
+            await Promise.all([ d1, d2, d3 ]);
+            assert.equal(ch.state, STATES.ENDED);
+        });
+    });
+
+    describe('#pipe()', () => {
+
+        it('should pipe values from one channel to another channel', async() => {
+            let ch1 = new Channel();
+            let ch2 = new Channel();
+            ch1.pipe(ch2);
             await ch1.put(1);
             assert.equal(await ch2.take(), 1);
             assert.equal(ch1.pipeline, [ ch2 ]);
@@ -810,6 +1496,205 @@ describe('Channel', function() {
         });
     });
 
+    describe('#pub()', () => {
+
+        it('should route values to the subscribers of their topic', async() => {
+            let source = new Channel();
+            let pub = source.pub(x => x.type);
+            let a = pub.sub('a', new Channel(8));
+            let b = pub.sub('b', new Channel(8));
+            await source.put({ type: 'a', value: 1 });
+            await source.put({ type: 'b', value: 2 });
+            await source.put({ type: 'a', value: 3 });
+            assert.equal((await a.take()).value, 1);
+            assert.equal((await a.take()).value, 3);
+            assert.equal((await b.take()).value, 2);
+            assert.true(a.empty());
+            assert.true(b.empty());
+        });
+
+        it('should deliver a value to every subscriber of its topic', async() => {
+            let source = new Channel();
+            let pub = source.pub(x => x % 2);
+            let a = pub.sub(0, new Channel(8));
+            let b = pub.sub(0, new Channel(8));
+            await source.put(2);
+            assert.equal(await a.take(), 2);
+            assert.equal(await b.take(), 2);
+        });
+
+        it('should drop values with no subscribers', async() => {
+            let source = new Channel();
+            let pub = source.pub(x => x % 2);
+            let even = pub.sub(0, new Channel(8));
+            await source.put(1);
+            await source.put(3);
+            await source.put(4);
+            assert.equal(await even.take(), 4);
+            assert.true(even.empty());
+        });
+
+        it('should stop delivering to unsubscribed channels', async() => {
+            let source = new Channel();
+            let pub = source.pub(x => x % 2);
+            let a = pub.sub(0, new Channel(8));
+            let b = pub.sub(0, new Channel(8));
+            await source.put(2);
+            assert.equal(await a.take(), 2);
+            pub.unsub(0, a);
+            await source.put(4);
+            assert.equal(await b.take(), 2);
+            assert.equal(await b.take(), 4);
+            pub.unsubAll();
+            await source.put(6);
+            await source.put(8);
+            assert.true(a.empty());
+            assert.true(b.empty());
+            assert.false(pub.topics.has(0));
+        });
+
+        it('should close subscribers when the source ends, unless asked not to', async() => {
+            let source = new Channel();
+            let pub = source.pub(x => x);
+            let a = pub.sub(1, new Channel());
+            let b = pub.sub(1, new Channel(), { close: false });
+            source.close();
+            await a.done();
+            assert.equal(a.state, STATES.ENDED);
+            assert.equal(b.state, STATES.OPEN);
+        });
+
+        it('should fail subscribers when the source fails', async() => {
+            let err = new Error('failed');
+            let source = new Channel();
+            let pub = source.pub(x => x);
+            let a = pub.sub(1, new Channel());
+            source.fail(err);
+            assert.equal(await rejection(a.done()), err);
+        });
+
+        it('should fail the source and subscribers when the topic function throws', async() => {
+            let err = new Error('bad topic');
+            let source = new Channel();
+            let pub = source.pub(() => {
+                throw err;
+            });
+            let a = pub.sub(1, new Channel());
+            await source.put(1);
+            assert.equal(await rejection(a.done()), err);
+            assert.equal(source.error, err);
+        });
+    });
+
+    describe('#mult()', () => {
+
+        it('should broadcast every value to every tap', async() => {
+            let source = new Channel();
+            let mult = source.mult();
+            let a = mult.tap(new Channel(8));
+            let b = mult.tap(new Channel(8));
+            await source.put(1);
+            await source.put(2);
+            assert.equal(await a.take(), 1);
+            assert.equal(await a.take(), 2);
+            assert.equal(await b.take(), 1);
+            assert.equal(await b.take(), 2);
+        });
+
+        it('should start new taps from the next value', async() => {
+            let source = new Channel();
+            let mult = source.mult();
+            let a = mult.tap(new Channel(8));
+            await source.put(1);
+            assert.equal(await a.take(), 1);
+            let b = mult.tap(new Channel(8));
+            await source.put(2);
+            assert.equal(await a.take(), 2);
+            assert.equal(await b.take(), 2);
+            assert.true(b.empty());
+        });
+
+        it('should not let a dropping tap stall a blocking tap', async() => {
+            let source = new Channel();
+            let mult = source.mult();
+            let slow = mult.tap(new Channel(1), { policy: POLICIES.DROP });
+            let fast = mult.tap(new Channel());
+            for (let i = 1; i <= 3; i++) {
+                source.put(i);
+                assert.equal(await fast.take(), i);
+            }
+            assert.equal(await slow.take(), 1);
+            assert.true(slow.empty());
+        });
+
+        it('should keep only the latest value for a slow tap', async() => {
+            let source = new Channel();
+            let mult = source.mult();
+            let slow = mult.tap(new Channel(), { policy: POLICIES.LATEST });
+            let fast = mult.tap(new Channel());
+            for (let i = 1; i <= 4; i++) {
+                source.put(i);
+                assert.equal(await fast.take(), i);
+            }
+            assert.equal(await slow.take(), 1);
+            assert.equal(await slow.take(), 4);
+            assert.empty(slow.puts);
+        });
+
+        it('should stop waiting on a blocked tap once it is untapped', async() => {
+            let source = new Channel();
+            let mult = source.mult();
+            let stuck = mult.tap(new Channel());
+            let a = mult.tap(new Channel(8));
+            await source.put(1);
+            assert.equal(await a.take(), 1);
+            let put = source.put(2);
+            mult.untap(stuck);
+            await put;
+            assert.equal(await a.take(), 2);
+            assert.equal(await stuck.take(), 1);
+            assert.true(stuck.empty());
+        });
+
+        it('should untap channels which have closed', async() => {
+            let source = new Channel();
+            let mult = source.mult();
+            let a = mult.tap(new Channel(8));
+            let b = mult.tap(new Channel(8));
+            a.close();
+            await source.put(1);
+            assert.equal(await b.take(), 1);
+            assert.equal(mult.taps.length, 1);
+        });
+
+        it('should close taps when the source ends, unless asked not to', async() => {
+            let source = new Channel();
+            let mult = source.mult();
+            let a = mult.tap(new Channel(), { policy: POLICIES.LATEST });
+            let b = mult.tap(new Channel(8), { close: false });
+            source.put(1);
+            source.close();
+            assert.equal(await a.take(), 1);
+            await a.done();
+            assert.equal(await b.take(), 1);
+            assert.equal(b.state, STATES.OPEN);
+        });
+
+        it('should fail taps when the source fails', async() => {
+            let err = new Error('failed');
+            let source = new Channel();
+            let mult = source.mult();
+            let a = mult.tap(new Channel());
+            source.fail(err);
+            assert.equal(await rejection(a.done()), err);
+        });
+
+        it('should throw for an unknown policy', () => {
+            let mult = new Channel().mult();
+            assert.throws(() => mult.tap(new Channel(), { policy: 'sometimes' }));
+        });
+    });
+
     describe('#merge()', () => {
 
         it('should put values from multiple channels onto a new channel', async() => {
@@ -824,209 +1709,1128 @@ describe('Channel', function() {
         });
     });
 
-    describe('#produce()', () => {
+    describe('operators', () => {
 
-        it('should automatically produce values when space is available', async() => {
-            let ch = new Channel();
-            let counter = 0;
-            ch.produce(() => counter++);
-            for (let i = 0; i < 10; i++)
-                assert.equal(await ch.take(), i);
-            ch.close();
-            await ch.done();
-        });
+        // puts each value onto `ch` and closes it, returning everything taken from `out`
+        async function run(ch, out, values) {
+            (async() => {
+                for (let val of values)
+                    await ch.put(val);
+                ch.close(true);
+            })();
+            let arr = [];
+            out.consume(x => arr.push(x));
+            await out.done();
+            return arr;
+        }
 
-        it('can produce values synchronously', async() => {
+        it('should map values', async() => {
             let ch = new Channel();
-            ch.produce(Math.random);
-            for (let i = 0; i < 10; i++) {
-                let val = await ch.take();
-                assert.true(val >= 0 && val < 1);
-            }
-            ch.close();
-            await ch.done();
+            assert.equal(await run(ch, ch.map(x => x * 2), [ 1, 2, 3 ]), [ 2, 4, 6 ]);
         });
 
-        it('can produce values asynchronously', async() => {
+        it('should map values asynchronously', async() => {
             let ch = new Channel();
-            let counter = 0;
-            ch.produce(async() => {
-                await timeout();
-                return counter++;
+            let out = Channel.map(ch, async x => {
+                await timeout(1);
+                return x + 1;
             });
-            for (let i = 0; i < 10; i++)
-                assert.equal(await ch.take(), i);
-            ch.close();
-            await ch.done();
+            assert.equal(await run(ch, out, [ 1, 2 ]), [ 2, 3 ]);
         });
-    });
 
-    describe('#consume()', () => {
+        it('should filter values', async() => {
+            let ch = new Channel();
+            assert.equal(await run(ch, ch.filter(x => x % 2), [ 1, 2, 3, 4, 5 ]), [ 1, 3, 5 ]);
+        });
 
-        it('can consume values synchronously', async() => {
+        it('should flatMap values', async() => {
             let ch = new Channel();
-            let counter = 0;
-            ch.consume(x => {
-                counter += x;
-            });
-            await ch.put(1);
-            await ch.put(2);
-            await ch.put(3);
-            await ch.put(4);
-            await ch.put(5);
-            ch.close();
-            await ch.done();
-            assert.equal(counter, 15);
+            assert.equal(await run(ch, ch.flatMap(x => [ x, x * 10 ]), [ 1, 2 ]), [ 1, 10, 2, 20 ]);
         });
 
-        it('can consume values asynchronously', async() => {
-            let ch = new Channel(async x => x);
-            let counter = 0;
-            ch.consume(async x => {
-                await timeout();
-                counter += x;
-            });
-            await ch.put(1);
-            await ch.put(2);
-            await ch.put(3);
-            await ch.put(4);
-            await ch.put(5);
-            ch.close();
-            await ch.done();
-            assert.equal(counter, 15);
+        it('should drop the first values', async() => {
+            let ch = new Channel();
+            assert.equal(await run(ch, ch.drop(2), [ 1, 2, 3, 4 ]), [ 3, 4 ]);
         });
 
-        it('should consume all values even if put without waiting', async() => {
-            let ch = new Channel(async x => {
-                await timeout();
-                return x;
-            });
-            let arr = [];
-            ch.consume(x => {
-                arr.push(x);
-            });
-            ch.put(1);
-            ch.put(2);
-            ch.put(3);
-            ch.put(4);
-            ch.put(5);
-            ch.put(6);
-            ch.put(7);
-            ch.put(8);
-            ch.close();
-            await ch.done();
-            assert.equal(arr, [ 1, 2, 3, 4, 5, 6, 7, 8 ]);
+        it('should scan values', async() => {
+            let ch = new Channel();
+            assert.equal(await run(ch, ch.scan((acc, x) => acc + x, 10), [ 1, 2, 3 ]), [ 11, 13, 16 ]);
         });
 
-    });
+        it('should only pass distinct values', async() => {
+            let ch = new Channel();
+            assert.equal(await run(ch, ch.distinct(), [ 1, 2, 1, 3, 2 ]), [ 1, 2, 3 ]);
+            let ch2 = new Channel();
+            let out = ch2.distinct(x => x.id);
+            assert.equal((await run(ch2, out, [ { id: 1 }, { id: 1 }, { id: 2 } ])).length, 2);
+        });
 
-    describe('transform', () => {
+        it('should chain operators', async() => {
+            let ch = new Channel();
+            let out = ch
+                .filter(x => x % 2)
+                .map(x => x * 10)
+                .drop(1);
+            assert.equal(await run(ch, out, [ 1, 2, 3, 4, 5 ]), [ 30, 50 ]);
+        });
 
-        it('should transform values', async() => {
-            let ch = new Channel(x => x ** 2);
-            for (let i = 1; i <= 4; i++)
-                ch.put(i);
-            for (let i = 0; i < 4; i++)
-                assert.equal(await ch.take(), (i + 1) ** 2);
+        it('should limit values, closing and releasing the upstream', async() => {
+            let ch = new Channel();
+            let produced = 0;
+            ch.produce(() => ++produced);
+            let out = ch.limit(3);
+            let arr = [];
+            out.consume(x => arr.push(x));
+            await out.done();
+            assert.equal(arr, [ 1, 2, 3 ]);
+            assert.true(ch.state !== STATES.OPEN);
+            assert.empty(ch.pipeline);
+            await timeout(5);
+            assert.true(produced <= 5);
         });
 
-        it('should drop undefined values', async() => {
-            let ch = new Channel(x => {
-                if (x > 2)
-                    return x;
-            });
+        it('should close downstream of a limit', async() => {
+            let ch = new Channel();
+            let out = ch.limit(2).map(x => x + 1);
             ch.put(1);
             ch.put(2);
             ch.put(3);
-            ch.put(4);
-            assert.equal(await ch.take(), 3);
-            assert.equal(await ch.take(), 4);
-            assert.empty(ch);
+            let arr = [];
+            out.consume(x => arr.push(x));
+            await out.done();
+            assert.equal(arr, [ 2, 3 ]);
+            assert.equal(ch.puts.length, 1);
         });
 
-        it('should transform values by callback', async() => {
-            let ch = new Channel((x, push) => {
-                if (x > 2)
-                    push(x);
-            });
-            ch.put(1);
-            ch.put(2);
-            ch.put(3);
-            ch.put(4);
-            assert.equal(await ch.take(), 3);
-            assert.equal(await ch.take(), 4);
-            assert.empty(ch);
+        it('should close right away for a limit of 0', async() => {
+            let ch = new Channel();
+            let out = ch.limit(0);
+            assert.equal(await out.take(), Channel.DONE);
+            assert.equal(ch.state, STATES.CLOSED);
         });
 
-        it('should expand values by multiple callback executions', async() => {
-            let ch = new Channel((x, push) => {
-                if (x > 2) {
-                    push(x);
-                    push(x);
-                }
-            });
+        it('should take values while they pass a predicate', async() => {
+            let ch = new Channel();
+            let out = ch.takeWhile(x => x < 3);
             ch.put(1);
             ch.put(2);
             ch.put(3);
             ch.put(4);
-            assert.equal(await ch.take(), 3);
-            assert.equal(await ch.take(), 3);
-            assert.equal(await ch.take(), 4);
-            assert.equal(await ch.take(), 4);
-            assert.empty(ch);
+            let arr = [];
+            out.consume(x => arr.push(x));
+            await out.done();
+            assert.equal(arr, [ 1, 2 ]);
+            assert.empty(ch.pipeline);
+            assert.equal(ch.puts.length, 1);
         });
+    });
 
-        it('should maintain order with multiple callback transforms', async() => {
-            let ch = new Channel(8, (x, push) => {
-                if (x < 3) {
-                    push(x);
-                    push(x * 2);
-                    push(x * 3);
-                }
-                else
-                    push(x);
-            });
-            let arr = [];
-            ch.consume(async x => {
-                arr.push(x);
-            });
+    describe('#batch()', () => {
+
+        it('should put arrays once they reach the size', async() => {
+            let ch = new Channel();
+            let out = ch.batch({ size: 2 });
+            for (let i = 1; i <= 4; i++)
+                ch.put(i);
+            assert.equal(await out.take(), [ 1, 2 ]);
+            assert.equal(await out.take(), [ 3, 4 ]);
+        });
+
+        it('should put partial arrays once the wait elapses', async() => {
+            let ch = new Channel();
+            let out = ch.batch({ size: 10, maxWait: 10 });
             await ch.put(1);
             await ch.put(2);
+            assert.equal(await out.take(), [ 1, 2 ]);
             await ch.put(3);
-            await ch.put(4);
-            await ch.put(5);
-            await ch.put(6);
-            ch.close();
-            await ch.done();
-            assert.equal(arr, [ 1, 2, 3, 2, 4, 6, 3, 4, 5, 6 ]);
+            assert.equal(await out.take(), [ 3 ]);
         });
 
-        it('should transform values asynchronously when promise is returned', async() => {
-            let ch = new Channel(async(val, push) => {
-                await timeout(5);
-                push(val);
-                await timeout(5);
-                push(val + 2);
-            });
-
-            let arr = [];
-            ch.consume(x => arr.push(x));
+        it('should not wait on an empty batch', async() => {
+            let ch = new Channel();
+            let out = Channel.batch(ch, { maxWait: 5 });
+            await timeout(15);
+            assert.true(out.empty());
             await ch.put(1);
-            await ch.put(2);
+            assert.equal(await out.take(), [ 1 ]);
+        });
+
+        it('should put the partial batch before closing', async() => {
+            let ch = new Channel();
+            let out = ch.batch({ size: 3 });
+            for (let i = 1; i <= 4; i++)
+                ch.put(i);
             ch.close();
-            await ch.done();
-            assert.equal(arr, [ 1, 3, 2, 4 ]);
+            assert.equal(await out.take(), [ 1, 2, 3 ]);
+            assert.equal(await out.take(), [ 4 ]);
+            assert.equal(await out.take(), Channel.DONE);
         });
 
-        it('should transform values asynchronously when 3 parameters are used', async() => {
-            let ch = new Channel((val, push, done) => {
-                setTimeout(() => {
-                    push(val);
-                    setTimeout(() => {
-                        push(val + 2);
-                        done();
-                    }, 5);
-                }, 5);
+        it('should fail when the source fails', async() => {
+            let err = new Error('failed');
+            let ch = new Channel();
+            let out = ch.batch({ size: 2 });
+            ch.fail(err);
+            assert.equal(await rejection(out.take()), err);
+        });
+
+        it('should throw without a size or a wait', () => {
+            assert.throws(() => new Channel().batch());
+        });
+    });
+
+    describe('#window()', () => {
+
+        // puts each value onto `ch` and closes it, returning every window taken from `out`
+        async function windows(ch, out, values) {
+            for (let val of values)
+                ch.put(val);
+            ch.close();
+            let arr = [];
+            out.consume(x => arr.push(x));
+            await out.done();
+            return arr;
+        }
+
+        it('should put tumbling windows', async() => {
+            let ch = new Channel();
+            assert.equal(await windows(ch, ch.window({ size: 2 }), [ 1, 2, 3, 4, 5 ]), [ [ 1, 2 ], [ 3, 4 ], [ 5 ] ]);
+        });
+
+        it('should put sliding windows', async() => {
+            let ch = new Channel();
+            let out = ch.window({ size: 3, every: 1 });
+            assert.equal(await windows(ch, out, [ 1, 2, 3, 4 ]), [ [ 1, 2, 3 ], [ 2, 3, 4 ], [ 3, 4 ], [ 4 ] ]);
+        });
+
+        it('should skip values between windows when every is larger than size', async() => {
+            let ch = new Channel();
+            let out = Channel.window(ch, { size: 2, every: 3 });
+            assert.equal(await windows(ch, out, [ 1, 2, 3, 4, 5, 6 ]), [ [ 1, 2 ], [ 4, 5 ] ]);
+        });
+
+        it('should throw without a positive size', () => {
+            assert.throws(() => new Channel().window());
+            assert.throws(() => new Channel().window({ size: 2, every: 0 }));
+        });
+    });
+
+    describe('time operators', () => {
+
+        it('should debounce values', async() => {
+            let clock = new VirtualScheduler();
+            let ch = new Channel();
+            let out = ch.debounce(10, { clock });
+            await ch.put(1);
+            await clock.advance(5);
+            await ch.put(2);
+            await clock.advance(5);
+            assert.true(out.empty());
+            await clock.advance(5);
+            assert.equal(await out.take(), 2);
+            await ch.put(3);
+            await clock.advance(10);
+            assert.equal(await out.take(), 3);
+        });
+
+        it('should put the last debounced value before closing', async() => {
+            let clock = new VirtualScheduler();
+            let ch = new Channel();
+            let out = Channel.debounce(ch, 10, { clock });
+            await ch.put(1);
+            ch.close();
+            assert.equal(await out.take(), 1);
+            assert.equal(await out.take(), Channel.DONE);
+            assert.equal(clock.pending, 0);
+        });
+
+        it('should throttle values', async() => {
+            let clock = new VirtualScheduler();
+            let ch = new Channel();
+            let out = ch.throttle(10, { clock });
+            await ch.put(1);
+            assert.equal(await out.take(), 1);
+            await ch.put(2);
+            await ch.put(3);
+            assert.true(out.empty());
+            await clock.advance(10);
+            assert.equal(await out.take(), 3);
+            await ch.put(4);
+            await clock.advance(10);
+            assert.equal(await out.take(), 4);
+            await clock.advance(10);
+            await ch.put(5);
+            assert.equal(await out.take(), 5);
+        });
+
+        it('should throttle without leading or trailing values', async() => {
+            let clock = new VirtualScheduler();
+            let ch = new Channel();
+            let trailing = ch.throttle(10, { clock, leading: false });
+            await ch.put(1);
+            await ch.put(2);
+            assert.true(trailing.empty());
+            await clock.advance(10);
+            assert.equal(await trailing.take(), 2);
+
+            let ch2 = new Channel();
+            let leading = ch2.throttle(10, { clock, trailing: false });
+            let first = leading.take();
+            await ch2.put(1);
+            assert.equal(await first, 1);
+            await ch2.put(2);
+            ch2.close();
+            assert.equal(await leading.take(), Channel.DONE);
+        });
+
+        it('should only take the next value once the last put has settled', async() => {
+            let clock = new VirtualScheduler();
+            let ch = new Channel();
+            let debounced = ch.debounce(10, { clock });
+            await ch.put(1);
+            await clock.advance(10);
+            await ch.put(2);
+            let put = ch.put(3);
+            await clock.advance(0);
+            assert.equal(ch.puts.length, 1);
+            assert.equal(await debounced.take(), 1);
+            await put;
+            ch.close();
+            assert.equal(await debounced.take(), 3);
+            assert.equal(await debounced.take(), Channel.DONE);
+        });
+
+        it('should delay values', async() => {
+            let clock = new VirtualScheduler();
+            let ch = new Channel();
+            let out = ch.delay(10, { clock });
+            await ch.put(1);
+            await clock.advance(5);
+            await ch.put(2);
+            await clock.advance(5);
+            assert.equal(await out.take(), 1);
+            assert.equal(out.puts.length, 0);
+            ch.close();
+            await clock.advance(5);
+            assert.equal(await out.take(), 2);
+            assert.equal(await out.take(), Channel.DONE);
+        });
+
+        it('should sample values', async() => {
+            let clock = new VirtualScheduler();
+            let ch = new Channel();
+            let out = ch.sample(10, { clock });
+            await ch.put(1);
+            await ch.put(2);
+            await clock.advance(10);
+            assert.equal(await out.take(), 2);
+            await clock.advance(10);
+            assert.true(out.empty());
+            await ch.put(3);
+            ch.close();
+            assert.equal(await out.take(), 3);
+            assert.equal(await out.take(), Channel.DONE);
+            assert.equal(clock.pending, 0);
+        });
+
+        it('should clear timers when the source fails', async() => {
+            let err = new Error('failed');
+            let clock = new VirtualScheduler();
+            let ch = new Channel();
+            let out = ch.delay(10, { clock });
+            await ch.put(1);
+            ch.fail(err);
+            assert.equal(await rejection(out.take()), err);
+            assert.equal(clock.pending, 0);
+        });
+
+        it('should use real timers by default', async() => {
+            let ch = new Channel();
+            let out = ch.delay(5);
+            await ch.put(1);
+            assert.equal(await out.take(), 1);
+        });
+    });
+
+    describe('combinators', () => {
+
+        // takes every value from `ch` until it ends
+        async function drain(ch) {
+            let arr = [];
+            ch.consume(x => arr.push(x));
+            await ch.done();
+            return arr;
+        }
+
+        it('should zip values from each channel', async() => {
+            let a = new Channel();
+            let b = new Channel();
+            let out = a.zip(b);
+            a.put(1);
+            a.put(2);
+            b.put('x');
+            b.put('y');
+            assert.equal(await out.take(), [ 1, 'x' ]);
+            assert.equal(await out.take(), [ 2, 'y' ]);
+        });
+
+        it('should close a zip once any channel ends, leaving the rest untouched', async() => {
+            let a = new Channel();
+            let b = new Channel();
+            let out = Channel.zip(a, b);
+            a.put(1);
+            b.put('x');
+            assert.equal(await out.take(), [ 1, 'x' ]);
+            a.close();
+            assert.equal(await out.take(), Channel.DONE);
+            assert.empty(b.takes);
+            let put = b.put('y');
+            assert.equal(b.puts.length, 1);
+            assert.equal(await b.take(), 'y');
+            await put;
+        });
+
+        it('should place values taken by a zip back on their channels when another ends', async() => {
+            let a = new Channel();
+            let b = new Channel(2);
+            let c = new Channel();
+            let out = Channel.zip(a, b, c);
+            await a.put(1);
+            await b.put('x');
+            await b.put('y');
+            c.close();
+            assert.equal(await out.take(), Channel.DONE);
+            assert.empty(a.takes);
+            assert.equal(await a.take(), 1);
+            assert.equal(a.stats().taken, 1);
+            assert.equal(await b.take(), 'x');
+            assert.equal(await b.take(), 'y');
+        });
+
+        it('should combine the latest values once every channel has one', async() => {
+            let a = new Channel();
+            let b = new Channel();
+            let out = Channel.combineLatest(a, b);
+            await a.put(1);
+            await a.put(2);
+            b.put('x');
+            assert.equal(await out.take(), [ 2, 'x' ]);
+            a.put(3);
+            assert.equal(await out.take(), [ 3, 'x' ]);
+            a.close();
+            b.put('y');
+            assert.equal(await out.take(), [ 3, 'y' ]);
+            b.close();
+            assert.equal(await out.take(), Channel.DONE);
+        });
+
+        it('should close a combination when a channel ends without a value', async() => {
+            let a = new Channel();
+            let b = new Channel();
+            let out = a.combineLatest(b);
+            a.put(1);
+            b.close();
+            assert.equal(await out.take(), Channel.DONE);
+        });
+
+        it('should concat channels in order', async() => {
+            let a = new Channel(4);
+            let b = new Channel(4);
+            await b.put(3);
+            await a.put(1);
+            await a.put(2);
+            b.close();
+            let out = Channel.concat(a, b);
+            await timeout(5);
+            assert.equal(await out.take(), 1);
+            assert.equal(await out.take(), 2);
+            assert.equal(b.length, 1);
+            a.close();
+            assert.equal(await drain(out), [ 3 ]);
+        });
+
+        it('should follow whichever channel receives a value first', async() => {
+            let a = new Channel();
+            let b = new Channel();
+            let c = new Channel();
+            let out = Channel.race(a, b, c);
+            a.close();
+            await timeout(5);
+            b.put(1);
+            b.put(2);
+            let put = c.put('x');
+            assert.equal(await out.take(), 1);
+            assert.empty(c.takes);
+            b.close();
+            assert.equal(await drain(out), [ 2 ]);
+            assert.equal(c.puts.length, 1);
+            assert.equal(await c.take(), 'x');
+            await put;
+        });
+
+        it('should close a race once every channel has dropped out', async() => {
+            let a = new Channel();
+            let out = a.race(new Channel());
+            a.close();
+            out.close();
+            assert.equal(await out.take(), Channel.DONE);
+        });
+
+        it('should respect backpressure from the output', async() => {
+            let a = new Channel();
+            let b = new Channel();
+            let out = Channel.zip(a, b);
+            a.put(1);
+            b.put(2);
+            let third = a.put(3);
+            b.put(4);
+            await timeout(5);
+            assert.equal(a.puts.length, 1);
+            assert.equal(await out.take(), [ 1, 2 ]);
+            assert.equal(await out.take(), [ 3, 4 ]);
+            await third;
+        });
+
+        it('should fail the output when an input fails', async() => {
+            let err = new Error('failed');
+            let a = new Channel();
+            let b = new Channel();
+            let out = Channel.zip(a, b);
+            a.fail(err);
+            assert.equal(await rejection(out.take()), err);
+            assert.empty(b.takes);
+        });
+    });
+
+    describe('scheduling', () => {
+
+        it('should run virtual timers in order', async() => {
+            let scheduler = new VirtualScheduler();
+            let arr = [];
+            scheduler.setTimeout(() => arr.push(2), 20);
+            scheduler.setTimeout(() => arr.push(1), 10);
+            scheduler.setTimeout(() => arr.push(3), 20);
+            let id = scheduler.setTimeout(() => arr.push(4), 15);
+            scheduler.clearTimeout(id);
+            await scheduler.advance(15);
+            assert.equal(arr, [ 1 ]);
+            assert.equal(scheduler.now(), 15);
+            await scheduler.runAll();
+            assert.equal(arr, [ 1, 2, 3 ]);
+            assert.equal(scheduler.now(), 20);
+            assert.equal(scheduler.pending, 0);
+        });
+
+        it('should stop running repeating virtual timers', async() => {
+            let scheduler = new VirtualScheduler();
+            let repeat = () => scheduler.setTimeout(repeat, 10);
+            repeat();
+            let e = await rejection(scheduler.runAll(50));
+            assert.true(e instanceof Error);
+            assert.equal(scheduler.now(), 500);
+        });
+
+        it('should put the previous scheduler back', async() => {
+            let previous = Channel.scheduler;
+            let scheduler = null;
+            await virtual(async x => {
+                scheduler = x;
+                assert.equal(Channel.scheduler, x);
+            })();
+            assert.true(scheduler instanceof VirtualScheduler);
+            assert.equal(Channel.scheduler, previous);
+        });
+
+        it('should close channels on virtual time', virtual(async scheduler => {
+            let ch = new Channel();
+            ch.close();
+            await Promise.resolve();
+            assert.equal(ch.state, STATES.CLOSED);
+            await scheduler.advance();
+            assert.equal(ch.state, STATES.ENDED);
+        }));
+
+        it('should time out takes on virtual time', virtual(async scheduler => {
+            let ch = new Channel();
+            let take = ch.take({ timeout: 60000 });
+            await scheduler.advance(59999);
+            assert.equal(ch.takes.length, 1);
+            await scheduler.advance(1);
+            assert.equal(await take, Channel.TIMEOUT);
+        }));
+
+        it('should run time operators and sources on virtual time', virtual(async scheduler => {
+            let ticks = Channel.interval(1000).limit(3);
+            let values = ticks.toArray();
+            await scheduler.runAll();
+            assert.equal(await values, [ 0, 1, 2 ]);
+            assert.equal(scheduler.pending, 0);
+        }));
+
+        it('should batch on virtual time', virtual(async scheduler => {
+            let ch = new Channel();
+            let out = ch.batch({ size: 10, maxWait: 500 });
+            await ch.put(1);
+            await scheduler.advance(499);
+            assert.true(out.empty());
+            await ch.put(2);
+            await scheduler.advance(1);
+            assert.equal(await out.take(), [ 1, 2 ]);
+        }));
+
+        it('should produce on virtual time', virtual(async scheduler => {
+            let ch = new Channel(2);
+            let count = 0;
+            ch.produce(() => ++count);
+            await scheduler.runAll();
+            assert.equal(count, 3);
+            assert.equal(ch.length, 3);
+            assert.equal(await ch.take(), 1);
+            await scheduler.runAll();
+            assert.equal(count, 4);
+        }));
+    });
+
+    describe('marbles', () => {
+
+        it('should pass values through on time', marbles(({ hot, expectChannel }) => {
+            let ch = hot('-a-b-|');
+            expectChannel(ch).toEmit('-a-b-|');
+        }));
+
+        it('should look up values', marbles(({ hot, expectChannel }) => {
+            let ch = hot('-a-b-c|', { a: 1, b: 2, c: 3 });
+            expectChannel(ch.map(x => x * 10)).toEmit('-x-y-z|', { x: 10, y: 20, z: 30 });
+        }));
+
+        it('should group everything in the same frame', marbles(({ hot, expectChannel }) => {
+            let ch = hot('-a-(bc|)');
+            expectChannel(ch.filter(x => x !== 'b')).toEmit('-a-(c|)');
+        }));
+
+        it('should describe failing channels', marbles(({ hot, expectChannel }) => {
+            let err = new Error('failed');
+            let ch = hot('-a-#', null, err);
+            expectChannel(ch).toEmit('-a-#', null, err);
+        }));
+
+        it('should ignore spaces', marbles(({ hot, expectChannel }) => {
+            let ch = hot('  -a--b-|');
+            expectChannel(ch).toEmit('-a--b-|');
+        }));
+
+        it('should run time operators on virtual frames', marbles(({ hot, expectChannel }) => {
+            let ch = hot('-a-b-----c-|');
+            expectChannel(ch.debounce(3)).toEmit('------b----(c|)');
+        }));
+
+        it('should use longer frames', marbles(({ hot, expectChannel }) => {
+            let ch = hot('-a-b|');
+            expectChannel(ch.delay(10)).toEmit('--a-(b|)');
+        }, { frame: 10 }));
+
+        it('should reject when a channel does not match', async() => {
+            let e = await rejection(marbles(({ hot, expectChannel }) => {
+                expectChannel(hot('-a-b|')).toEmit('-a--b|');
+            })());
+            assert.equal(e.message, 'Expected channel to emit \'-a--b|\', but it emitted \'-a-b|\'!');
+        });
+    });
+
+    describe('#mix()', () => {
+
+        it('should put values from every input onto the output', async() => {
+            let out = new Channel(8);
+            let mix = out.mix();
+            let a = mix.admix(new Channel());
+            let b = mix.admix(new Channel());
+            await a.put(1);
+            await b.put(2);
+            assert.equal(await out.take(), 1);
+            assert.equal(await out.take(), 2);
+        });
+
+        it('should add and remove inputs at runtime', async() => {
+            let out = new Channel(8);
+            let mix = Channel.mix(out);
+            let a = mix.admix(new Channel());
+            await a.put(1);
+            mix.unmix(a);
+            let b = mix.admix(new Channel());
+            a.put(2);
+            await b.put(3);
+            assert.equal(await out.take(), 1);
+            assert.equal(await out.take(), 3);
+            assert.true(out.empty());
+            assert.equal(a.puts.length, 1);
+        });
+
+        it('should take and discard values from muted inputs', async() => {
+            let out = new Channel(8);
+            let mix = out.mix();
+            let a = mix.toggle(new Channel(), { mute: true });
+            let b = mix.admix(new Channel());
+            await a.put(1);
+            await b.put(2);
+            assert.equal(await out.take(), 2);
+            assert.true(out.empty());
+        });
+
+        it('should not take values from paused inputs', async() => {
+            let out = new Channel(8);
+            let mix = out.mix();
+            let a = mix.toggle(new Channel(), { pause: true });
+            let put = a.put(1);
+            await timeout(5);
+            assert.equal(a.puts.length, 1);
+            mix.toggle(a, { pause: false });
+            await put;
+            assert.equal(await out.take(), 1);
+        });
+
+        it('should only let soloed inputs reach the output', async() => {
+            let out = new Channel(8);
+            let mix = out.mix();
+            let a = mix.toggle(new Channel(), { solo: true });
+            let b = mix.admix(new Channel());
+            await b.put(1);
+            await a.put(2);
+            assert.equal(await out.take(), 2);
+            assert.true(out.empty());
+        });
+
+        it('should pause inputs which are not soloed in pause mode', async() => {
+            let out = new Channel(8);
+            let mix = out.mix();
+            mix.soloMode(SOLO_MODES.PAUSE);
+            let a = mix.toggle(new Channel(), { solo: true });
+            let b = mix.admix(new Channel());
+            let put = b.put(1);
+            await a.put(2);
+            assert.equal(await out.take(), 2);
+            assert.equal(b.puts.length, 1);
+            mix.toggle(a, { solo: false });
+            await put;
+            assert.equal(await out.take(), 1);
+        });
+
+        it('should remove inputs once they end', async() => {
+            let out = new Channel(8);
+            let mix = out.mix();
+            let a = mix.admix(new Channel());
+            a.close();
+            await a.done();
+            await timeout(5);
+            assert.false(mix.inputs.has(a));
+        });
+
+        it('should fail the output when an input fails', async() => {
+            let err = new Error('failed');
+            let out = new Channel();
+            let mix = out.mix();
+            let a = mix.admix(new Channel());
+            a.fail(err);
+            assert.equal(await rejection(out.done()), err);
+        });
+
+        it('should throw for an unknown solo mode', () => {
+            let mix = new Channel().mix();
+            assert.throws(() => mix.soloMode('loud'));
+        });
+    });
+
+    describe('.select()', () => {
+
+        it('should take from whichever channel has a value first', async() => {
+            let ch1 = new Channel();
+            let ch2 = new Channel();
+            let selected = Channel.select([ ch1, ch2 ]);
+            assert.equal(ch1.takes.length, 1);
+            assert.equal(ch2.takes.length, 1);
+            ch2.put(2);
+            let { value, channel, index } = await selected;
+            assert.equal(value, 2);
+            assert.equal(channel, ch2);
+            assert.equal(index, 1);
+            assert.empty(ch1.takes);
+            assert.empty(ch2.takes);
+        });
+
+        it('should not steal values from the losing channels', async() => {
+            let ch1 = new Channel(1);
+            let ch2 = new Channel(1);
+            await ch1.put(1);
+            await ch2.put(2);
+            let { value, channel } = await Channel.select([ ch1, ch2 ]);
+            let other = channel === ch1 ? ch2 : ch1;
+            assert.equal(value, channel === ch1 ? 1 : 2);
+            assert.false(other.empty());
+            assert.equal(await other.take(), channel === ch1 ? 2 : 1);
+        });
+
+        it('should put onto a channel with a waiting take', async() => {
+            let ch1 = new Channel();
+            let ch2 = new Channel();
+            let take = ch2.take();
+            let { value, channel, index } = await Channel.select([ ch1, [ ch2, 'val' ] ]);
+            assert.equal(value, undefined);
+            assert.equal(channel, ch2);
+            assert.equal(index, 1);
+            assert.equal(await take, 'val');
+            assert.empty(ch1.takes);
+        });
+
+        it('should withdraw puts which lose', async() => {
+            let ch1 = new Channel();
+            let ch2 = new Channel();
+            let selected = Channel.select([ [ ch1, 1 ], ch2 ]);
+            assert.equal(ch1.puts.length, 1);
+            await ch2.put(2);
+            let { value, index } = await selected;
+            assert.equal(value, 2);
+            assert.equal(index, 1);
+            assert.true(ch1.empty());
+        });
+
+        it('should resolve with the default when nothing is ready', async() => {
+            let ch1 = new Channel();
+            let ch2 = new Channel(1);
+            await ch2.put(1);
+            let { value, channel, index } = await Channel.select([ ch1, [ ch2, 2 ] ], { default: 'none' });
+            assert.equal(value, 'none');
+            assert.equal(channel, null);
+            assert.equal(index, -1);
+            assert.empty(ch1.takes);
+            assert.empty(ch2.puts);
+        });
+
+        it('should resolve with done for ended channels', async() => {
+            let ch1 = new Channel();
+            let ch2 = new Channel();
+            ch2.close();
+            await ch2.done();
+            let { value, channel } = await Channel.select([ ch1, ch2 ]);
+            assert.equal(value, Channel.DONE);
+            assert.equal(channel, ch2);
+            assert.empty(ch1.takes);
+        });
+
+        it('should prefer ready operations over closed channels', async() => {
+            let ch1 = new Channel();
+            let ch2 = new Channel(1);
+            ch1.close();
+            await ch2.put(2);
+            let { value, channel, index } = await Channel.select([ [ ch1, 1 ], ch2 ]);
+            assert.equal(value, 2);
+            assert.equal(channel, ch2);
+            assert.equal(index, 1);
+            assert.empty(ch1.puts);
+        });
+    });
+
+    describe('#produce()', () => {
+
+        it('should automatically produce values when space is available', async() => {
+            let ch = new Channel();
+            let counter = 0;
+            ch.produce(() => counter++);
+            for (let i = 0; i < 10; i++)
+                assert.equal(await ch.take(), i);
+            ch.close();
+            await ch.done();
+        });
+
+        it('can produce values synchronously', async() => {
+            let ch = new Channel();
+            ch.produce(Math.random);
+            for (let i = 0; i < 10; i++) {
+                let val = await ch.take();
+                assert.true(val >= 0 && val < 1);
+            }
+            ch.close();
+            await ch.done();
+        });
+
+        it('can produce values asynchronously', async() => {
+            let ch = new Channel();
+            let counter = 0;
+            ch.produce(async() => {
+                await timeout();
+                return counter++;
+            });
+            for (let i = 0; i < 10; i++)
+                assert.equal(await ch.take(), i);
+            ch.close();
+            await ch.done();
+        });
+    });
+
+    describe('#consume()', () => {
+
+        it('can consume values synchronously', async() => {
+            let ch = new Channel();
+            let counter = 0;
+            ch.consume(x => {
+                counter += x;
+            });
+            await ch.put(1);
+            await ch.put(2);
+            await ch.put(3);
+            await ch.put(4);
+            await ch.put(5);
+            ch.close();
+            await ch.done();
+            assert.equal(counter, 15);
+        });
+
+        it('can consume values asynchronously', async() => {
+            let ch = new Channel(async x => x);
+            let counter = 0;
+            ch.consume(async x => {
+                await timeout();
+                counter += x;
+            });
+            await ch.put(1);
+            await ch.put(2);
+            await ch.put(3);
+            await ch.put(4);
+            await ch.put(5);
+            ch.close();
+            await ch.done();
+            assert.equal(counter, 15);
+        });
+
+        it('should consume all values even if put without waiting', async() => {
+            let ch = new Channel(async x => {
+                await timeout();
+                return x;
+            });
+            let arr = [];
+            ch.consume(x => {
+                arr.push(x);
+            });
+            ch.put(1);
+            ch.put(2);
+            ch.put(3);
+            ch.put(4);
+            ch.put(5);
+            ch.put(6);
+            ch.put(7);
+            ch.put(8);
+            ch.close();
+            await ch.done();
+            assert.equal(arr, [ 1, 2, 3, 4, 5, 6, 7, 8 ]);
+        });
+
+    });
+
+    describe('streams', () => {
+
+        function readable(values: Array) {
+            let stream = new Readable({ objectMode: true, read() {} });
+            for (let val of values)
+                stream.push(val);
+            stream.push(null);
+            return stream;
+        }
+
+        function writable(arr: Array) {
+            return new Writable({
+                objectMode: true,
+                highWaterMark: 1,
+                write(chunk, encoding, callback) {
+                    arr.push(chunk);
+                    setTimeout(callback);
+                }
+            });
+        }
+
+        it('should take values from a readable stream', async() => {
+            let ch = Channel.fromReadable(readable([ 1, 2, 3 ]));
+            assert.equal(await ch.take(), 1);
+            assert.equal(await ch.take(), 2);
+            assert.equal(await ch.take(), 3);
+            assert.equal(await ch.take(), Channel.DONE);
+        });
+
+        it('should pause a readable stream while puts are blocked', async() => {
+            let stream = readable([ 1, 2, 3 ]);
+            let ch = Channel.fromReadable(stream, x => x * 2);
+            await timeout();
+            assert.true(stream.isPaused());
+            assert.equal(ch.puts.length, 1);
+            assert.equal(await ch.take(), 2);
+            await timeout();
+            assert.equal(ch.puts.length, 1);
+            assert.equal(await ch.take(), 4);
+            assert.equal(await ch.take(), 6);
+        });
+
+        it('should fail the channel when a readable stream errors', async() => {
+            let err = new Error('read failed');
+            let stream = new Readable({ objectMode: true, read() {} });
+            let ch = Channel.fromReadable(stream);
+            let piped = new Channel();
+            ch.pipe(piped);
+            stream.push(1);
+            assert.equal(await piped.take(), 1);
+            stream.destroy(err);
+            assert.equal(await rejection(ch.done()), err);
+            assert.equal(ch.state, STATES.ERRORED);
+            assert.equal(await rejection(piped.take()), err);
+        });
+
+        it('should write values to a writable stream', async() => {
+            let arr = [];
+            let ch = Channel.from([ 1, 2, 3, 4 ]);
+            await ch.toWritable(writable(arr));
+            assert.equal(arr, [ 1, 2, 3, 4 ]);
+            assert.equal(ch.state, STATES.ENDED);
+        });
+
+        it('should place a value back instead of writing it once the stream errors', async() => {
+            let err = new Error('write failed');
+            let arr = [];
+            let stream = writable(arr);
+            let ch = new Channel();
+            let writing = ch.toWritable(stream);
+            stream.destroy(err);
+            assert.equal(await rejection(writing), err);
+            ch.put(1);
+            assert.equal(await ch.take(), 1);
+            assert.empty(arr);
+            assert.equal(stream.listenerCount('error'), 0);
+        });
+
+        it('should error a duplex which is written to once its channel has closed', async() => {
+            let ch = new Channel();
+            let duplex = Channel.toDuplex(ch);
+            ch.close();
+            let e = await new Promise(resolve => {
+                duplex.on('error', resolve);
+                duplex.write(1);
+            });
+            assert.equal(e.message, 'Cannot write to a channel which is no longer open!');
+        });
+
+        it('should sit in the middle of a stream pipeline', async() => {
+            let arr = [];
+            let duplex = Channel.toDuplex(...Channel.pipeline(x => x + 1, x => x * 2));
+            await new Promise((resolve, reject) => {
+                pipeline(readable([ 1, 2, 3 ]), duplex, writable(arr), e => e ? reject(e) : resolve());
+            });
+            assert.equal(arr, [ 4, 6, 8 ]);
+        });
+    });
+
+    describe('transform', () => {
+
+        it('should transform values', async() => {
+            let ch = new Channel(x => x ** 2);
+            for (let i = 1; i <= 4; i++)
+                ch.put(i);
+            for (let i = 0; i < 4; i++)
+                assert.equal(await ch.take(), (i + 1) ** 2);
+        });
+
+        it('should drop undefined values', async() => {
+            let ch = new Channel(x => {
+                if (x > 2)
+                    return x;
+            });
+            ch.put(1);
+            ch.put(2);
+            ch.put(3);
+            ch.put(4);
+            assert.equal(await ch.take(), 3);
+            assert.equal(await ch.take(), 4);
+            assert.empty(ch);
+        });
+
+        it('should transform values by callback', async() => {
+            let ch = new Channel((x, push) => {
+                if (x > 2)
+                    push(x);
+            });
+            ch.put(1);
+            ch.put(2);
+            ch.put(3);
+            ch.put(4);
+            assert.equal(await ch.take(), 3);
+            assert.equal(await ch.take(), 4);
+            assert.empty(ch);
+        });
+
+        it('should expand values by multiple callback executions', async() => {
+            let ch = new Channel((x, push) => {
+                if (x > 2) {
+                    push(x);
+                    push(x);
+                }
+            });
+            ch.put(1);
+            ch.put(2);
+            ch.put(3);
+            ch.put(4);
+            assert.equal(await ch.take(), 3);
+            assert.equal(await ch.take(), 3);
+            assert.equal(await ch.take(), 4);
+            assert.equal(await ch.take(), 4);
+            assert.empty(ch);
+        });
+
+        it('should maintain order with multiple callback transforms', async() => {
+            let ch = new Channel(8, (x, push) => {
+                if (x < 3) {
+                    push(x);
+                    push(x * 2);
+                    push(x * 3);
+                }
+                else
+                    push(x);
+            });
+            let arr = [];
+            ch.consume(async x => {
+                arr.push(x);
+            });
+            await ch.put(1);
+            await ch.put(2);
+            await ch.put(3);
+            await ch.put(4);
+            await ch.put(5);
+            await ch.put(6);
+            ch.close();
+            await ch.done();
+            assert.equal(arr, [ 1, 2, 3, 2, 4, 6, 3, 4, 5, 6 ]);
+        });
+
+        it('should transform values asynchronously when promise is returned', async() => {
+            let ch = new Channel(async(val, push) => {
+                await timeout(5);
+                push(val);
+                await timeout(5);
+                push(val + 2);
+            });
+
+            let arr = [];
+            ch.consume(x => arr.push(x));
+            await ch.put(1);
+            await ch.put(2);
+            ch.close();
+            await ch.done();
+            assert.equal(arr, [ 1, 3, 2, 4 ]);
+        });
+
+        it('should transform values asynchronously when 3 parameters are used', async() => {
+            let ch = new Channel((val, push, done) => {
+                setTimeout(() => {
+                    push(val);
+                    setTimeout(() => {
+                        push(val + 2);
+                        done();
+                    }, 5);
+                }, 5);
             });
             let arr = [];
             ch.consume(x => arr.push(x));
@@ -1039,6 +2843,604 @@ describe('Channel', function() {
 
     });
 
+    describe('priority', () => {
+
+        it('should order values with a priority queue', () => {
+            let queue = new PriorityQueue((a, b) => a.rank - b.rank);
+            let [ a, b, c, d ] = [ { rank: 2 }, { rank: 1 }, { rank: 2 }, { rank: 0 } ];
+            for (let val of [ a, b, c, d ])
+                queue.push(val);
+            assert.equal(queue.length, 4);
+            assert.true(queue.peek() === d);
+            assert.true(queue.remove(b));
+            assert.false(queue.remove(b));
+            queue.unshift(b);
+            let order = [];
+            while (!queue.empty())
+                order.push(queue.shift());
+            assert.equal(order.length, 4);
+            assert.true(order[0] === b);
+            assert.true(order[1] === d);
+            assert.true(order[2] === a);
+            assert.true(order[3] === c);
+        });
+
+        it('should not push onto a full fixed priority queue', () => {
+            let queue = new FixedPriorityQueue(2, (a, b) => b - a);
+            queue.push(1);
+            queue.push(3);
+            queue.push(2);
+            assert.true(queue.full());
+            assert.equal(queue.size, 2);
+            assert.equal([ ...queue ], [ 3, 1 ]);
+        });
+
+        it('should take buffered values in order of priority', async() => {
+            let ch = new Channel(4, { priority: (a, b) => b - a });
+            for (let val of [ 1, 3, 2 ])
+                await ch.put(val);
+            assert.equal(await ch.take(), 3);
+            assert.equal(await ch.take(), 2);
+            assert.equal(await ch.take(), 1);
+        });
+
+        it('should keep the order of values with equal priority', async() => {
+            let ch = new Channel(4, { priority: (a, b) => a.urgency - b.urgency });
+            let values = [ { id: 'a', urgency: 1 }, { id: 'b', urgency: 0 }, { id: 'c', urgency: 1 }, { id: 'd', urgency: 0 } ];
+            for (let val of values)
+                await ch.put(val);
+            ch.close();
+            assert.equal((await ch.toArray()).map(x => x.id), [ 'b', 'd', 'a', 'c' ]);
+        });
+
+        it('should order waiting puts as space frees up', async() => {
+            let ch = new Channel(1, { priority: (a, b) => b - a });
+            await ch.put(1);
+            ch.put(2);
+            ch.put(5);
+            ch.put(3);
+            assert.equal(await ch.take(), 1);
+            assert.equal(await ch.take(), 5);
+            assert.equal(await ch.take(), 3);
+            assert.equal(await ch.take(), 2);
+        });
+
+        it('should order waiting puts on non buffered channels', async() => {
+            let ch = new Channel({ priority: (a, b) => b - a });
+            ch.put(1);
+            ch.put(3);
+            ch.put(2);
+            assert.equal(await ch.take(), 3);
+            assert.equal(await ch.take(), 2);
+            assert.equal(await ch.take(), 1);
+        });
+
+        it('should compare values as they were put, before the transform', async() => {
+            let ch = new Channel(4, x => -x, { priority: (a, b) => a - b });
+            for (let val of [ 2, 1, 3 ])
+                await ch.put(val);
+            ch.close();
+            assert.equal(await ch.toArray(), [ -1, -2, -3 ]);
+        });
+    });
+
+    describe('custom buffers', () => {
+
+        // a buffer which drops any value already waiting on it
+        class UniqueBuffer {
+            constructor(size) {
+                this.entries = [];
+                this.values = [];
+                this.size = size;
+                this.dropped = 0;
+            }
+
+            get length() {
+                return this.entries.length;
+            }
+
+            push(entry, val) {
+                if (this.values.indexOf(val) !== -1) {
+                    this.dropped++;
+                    return;
+                }
+                this.entries.push(entry);
+                this.values.push(val);
+            }
+
+            shift() {
+                this.values.shift();
+                return this.entries.shift();
+            }
+
+            unshift(...entries) {
+                this.values.unshift(...entries.map(() => undefined));
+                return this.entries.unshift(...entries);
+            }
+
+            peek() {
+                return this.entries[0];
+            }
+
+            full() {
+                return this.length >= this.size;
+            }
+
+            empty() {
+                return this.length === 0;
+            }
+        }
+
+        // a minimal buffer, written as an object literal
+        function arrayBuffer(size) {
+            let arr = [];
+            return {
+                size,
+                get length() {
+                    return arr.length;
+                },
+                push: entry => arr.push(entry),
+                shift: () => arr.shift(),
+                unshift: (...entries) => arr.unshift(...entries),
+                full: () => arr.length >= size,
+                empty: () => arr.length === 0
+            };
+        }
+
+        it('should accept any buffer implementing the interface', async() => {
+            let dropped = [];
+            let ch = new Channel(new UniqueBuffer(4));
+            ch.on('drop', x => dropped.push(x));
+            for (let val of [ 1, 2, 1, 3 ])
+                await ch.put(val);
+            ch.close();
+            assert.equal(await ch.toArray(), [ 1, 2, 3 ]);
+            assert.equal(ch.stats().dropped, 1);
+            assert.equal(dropped, [ 1 ]);
+        });
+
+        it('should accept a buffer written as an object literal', async() => {
+            let ch = new Channel(arrayBuffer(2), x => x * 2);
+            assert.equal(ch.size, 2);
+            await ch.put(1);
+            await ch.put(2);
+            let put = ch.put(3);
+            assert.equal(ch.length, 3);
+            assert.equal(await ch.take(), 2);
+            await put;
+            assert.equal(await ch.take(), 4);
+            assert.equal(await ch.take(), 6);
+
+            let options = new Channel({ buffer: arrayBuffer(1) });
+            assert.equal(options.size, 1);
+        });
+
+        it('should throw for buffers missing part of the interface', () => {
+            let message = null;
+            try {
+                new Channel({ buffer: { push() {}, shift() {}, length: 0 } }); // eslint-disable-line no-new
+            }
+            catch(e) {
+                message = e.message;
+            }
+            assert.equal(message, 'Channel buffers must implement unshift, full, empty, size!');
+        });
+
+        it('should not treat arrays as buffers', async() => {
+            let ch = new Channel([ 1, 2 ], x => x * 2);
+            assert.equal(ch.buf, undefined);
+            assert.equal(ch.size, undefined);
+            ch.put(1);
+            assert.equal(await ch.take(), 1);
+        });
+
+        it('should throw for buffers missing what concurrency needs', () => {
+            let iterable = () => Object.assign(arrayBuffer(2), { [Symbol.iterator]: () => [][Symbol.iterator]() });
+            assert.throws(() => new Channel(arrayBuffer(2), { concurrency: 2 }));
+            assert.throws(() => new Channel(iterable(), { concurrency: 2, ordered: false }));
+            assert.equal(new Channel(iterable(), { concurrency: 2 }).concurrency, 2);
+            assert.equal(new Channel(new FixedStack(2), { concurrency: 2, ordered: false }).concurrency, 2);
+        });
+    });
+
+    describe('lifo', () => {
+
+        it('should iterate stacks from the top', () => {
+            let stack = new Stack();
+            stack.push(1);
+            stack.push(2);
+            stack.push(3);
+            assert.equal([ ...stack ], [ 3, 2, 1 ]);
+            assert.true(stack.remove(2));
+            assert.equal(stack.pop(), 3);
+        });
+
+        it('should take the newest buffered value first', async() => {
+            let ch = new Channel({ size: 4, order: 'lifo' });
+            assert.true(ch.buf instanceof FixedStack);
+            for (let val of [ 1, 2, 3 ])
+                await ch.put(val);
+            assert.equal(await ch.take(), 3);
+            assert.equal(await ch.take(), 2);
+            assert.equal(await ch.take(), 1);
+        });
+
+        it('should accept a FixedStack in place of the size', async() => {
+            let ch = new Channel(new FixedStack(2));
+            await ch.put(1);
+            await ch.put(2);
+            assert.equal(await ch.take(), 2);
+            assert.equal(await ch.take(), 1);
+        });
+
+        it('should move waiting puts onto the stack in the order they were put', async() => {
+            let ch = new Channel(2, { order: ORDERS.LIFO });
+            await ch.put(1);
+            await ch.put(2);
+            ch.put(3);
+            ch.put(4);
+            let taken = [];
+            for (let i = 0; i < 4; i++)
+                taken.push(await ch.take());
+            assert.equal(taken, [ 2, 3, 4, 1 ]);
+        });
+
+        it('should take expanded values in the order they were accepted', async() => {
+            let ch = new Channel(2, (x, accept) => {
+                accept(x);
+                accept(x * 10);
+            }, { order: ORDERS.LIFO });
+            await ch.put(1);
+            await ch.put(2);
+            ch.close();
+            assert.equal(await ch.toArray(), [ 2, 20, 1, 10 ]);
+        });
+
+        it('should throw on unknown orders', () => {
+            assert.throws(() => new Channel(2, { order: 'random' }));
+            assert.throws(() => new Channel(2, { order: ORDERS.LIFO, priority: (a, b) => a - b }));
+        });
+    });
+
+    describe('concurrency', () => {
+
+        // resolves with `x` after a delay, tracking how many calls run at once
+        function tracked(delay) {
+            let fn = async x => {
+                fn.active++;
+                fn.max = Math.max(fn.max, fn.active);
+                await timeout(delay(x));
+                fn.active--;
+                return x;
+            };
+            fn.active = 0;
+            fn.max = 0;
+            return fn;
+        }
+
+        it('should transform up to the concurrency at once, in order', async() => {
+            let transform = tracked(x => (5 - x) * 5);
+            let ch = new Channel({ transform, concurrency: 2 });
+            for (let i = 1; i <= 4; i++)
+                ch.put(i);
+            let arr = [];
+            for (let i = 1; i <= 4; i++)
+                arr.push(await ch.take());
+            assert.equal(arr, [ 1, 2, 3, 4 ]);
+            assert.equal(transform.max, 2);
+        });
+
+        it('should transform one value at a time by default', async() => {
+            let transform = tracked(() => 1);
+            let ch = new Channel(transform);
+            for (let i = 1; i <= 3; i++)
+                ch.put(i);
+            for (let i = 1; i <= 3; i++)
+                assert.equal(await ch.take(), i);
+            assert.equal(transform.max, 1);
+        });
+
+        // runs on virtual time, so that a slow machine can not finish the transforms out of order
+        it('should deliver values as they finish when unordered', virtual(async scheduler => {
+            let transform = tracked(x => (4 - x) * 10);
+            let ch = new Channel({ transform, concurrency: 3, ordered: false });
+            for (let i = 1; i <= 3; i++)
+                ch.put(i);
+            let taking = (async() => {
+                let arr = [];
+                for (let i = 1; i <= 3; i++)
+                    arr.push(await ch.take());
+                return arr;
+            })();
+            await scheduler.runAll();
+            assert.equal(await taking, [ 3, 2, 1 ]);
+            assert.equal(transform.max, 3);
+        }));
+
+        it('should transform buffered values concurrently', async() => {
+            let transform = tracked(x => (4 - x) * 5);
+            let ch = new Channel({ size: 4, transform, concurrency: 3 });
+            for (let i = 1; i <= 3; i++)
+                await ch.put(i);
+            let arr = [];
+            for (let i = 1; i <= 3; i++)
+                arr.push(await ch.take());
+            assert.equal(arr, [ 1, 2, 3 ]);
+            assert.equal(transform.max, 3);
+        });
+
+        it('should transform values from an awaited producer concurrently', async() => {
+            let transform = tracked(x => (4 - x) * 5);
+            let ch = new Channel({ size: 3, transform, concurrency: 3 });
+            let first = ch.take();
+            for (let i = 1; i <= 3; i++)
+                await ch.put(i);
+            let arr = [ await first ];
+            for (let i = 2; i <= 3; i++)
+                arr.push(await ch.take());
+            assert.equal(arr, [ 1, 2, 3 ]);
+            assert.equal(transform.max, 3);
+        });
+
+        it('should transform values from a piped source concurrently', async() => {
+            let transform = tracked(x => (5 - x) * 5);
+            let source = new Channel();
+            let ch = new Channel({ transform, concurrency: 2 });
+            source.pipe(ch);
+            let arr = [];
+            let consuming = ch.consume(x => arr.push(x));
+            for (let i = 1; i <= 4; i++)
+                await source.put(i);
+            source.close(true);
+            await ch.done();
+            await consuming;
+            assert.equal(arr, [ 1, 2, 3, 4 ]);
+            assert.equal(transform.max, 2);
+        });
+
+        it('should keep expanding transforms working', async() => {
+            let ch = new Channel({
+                transform: async(x, push) => {
+                    await timeout((3 - x) * 5);
+                    push(x);
+                    push(x * 10);
+                },
+                concurrency: 2
+            });
+            ch.put(1);
+            ch.put(2);
+            ch.close();
+            let arr = [];
+            ch.consume(x => arr.push(x));
+            await ch.done();
+            assert.equal(arr, [ 1, 10, 2, 20 ]);
+        });
+
+        it('should fail the channel when a concurrent transform throws', async() => {
+            let err = new Error('bad value');
+            let ch = new Channel({
+                transform: async x => {
+                    if (x === 2)
+                        throw err;
+                    return x;
+                },
+                concurrency: 2
+            });
+            let one = ch.put(1);
+            let two = ch.put(2);
+            assert.equal(await ch.take(), 1);
+            await one;
+            await two; // accepted onto the buffer sized by the concurrency
+            assert.equal(await rejection(ch.take()), err);
+            assert.equal(await rejection(ch.done()), err);
+        });
+
+        it('should size the buffer by the concurrency when none is given', () => {
+            assert.equal(new Channel({ concurrency: 4 }).size, 4);
+            assert.equal(new Channel({ size: 2, concurrency: 4 }).size, 2);
+            assert.equal(new Channel().size, undefined);
+        });
+    });
+
+    describe('cancellation', () => {
+
+        it('should withdraw an aborted take', async() => {
+            let ch = new Channel();
+            let controller = abortable();
+            let take = ch.take({ signal: controller.signal });
+            assert.equal(ch.takes.length, 1);
+            controller.abort();
+            assert.empty(ch.takes);
+            let e = await rejection(take);
+            assert.equal(e.name, 'AbortError');
+            ch.put(1);
+            assert.equal(await ch.take(), 1);
+        });
+
+        it('should withdraw an aborted put', async() => {
+            let ch = new Channel(1);
+            await ch.put(1);
+            let controller = abortable();
+            let put = ch.put(2, { signal: controller.signal });
+            assert.equal(ch.puts.length, 1);
+            controller.abort();
+            assert.empty(ch.puts);
+            assert.equal((await rejection(put)).name, 'AbortError');
+            assert.equal(await ch.take(), 1);
+            assert.true(ch.empty());
+        });
+
+        it('should withdraw an aborted tail', async() => {
+            let ch = new Channel();
+            let controller = abortable();
+            let tail = ch.tail(2, { signal: controller.signal });
+            controller.abort();
+            assert.empty(ch.tails);
+            assert.equal((await rejection(tail)).name, 'AbortError');
+        });
+
+        it('should reject right away with an aborted signal', async() => {
+            let ch = new Channel();
+            let controller = abortable();
+            controller.abort();
+            assert.equal((await rejection(ch.take({ signal: controller.signal }))).name, 'AbortError');
+            assert.equal((await rejection(ch.put(1, { signal: controller.signal }))).name, 'AbortError');
+            assert.empty(ch.takes);
+            assert.empty(ch.puts);
+        });
+
+        it('should not cancel a put which is already being delivered', async() => {
+            let ch = new Channel(async x => {
+                await timeout();
+                return x;
+            });
+            let controller = abortable();
+            let put = ch.put(1, { signal: controller.signal });
+            let take = ch.take();
+            assert.empty(ch.puts); // the put is now being transformed on its way to the take
+            controller.abort();
+            await put;
+            assert.equal(await take, 1);
+        });
+
+        it('should detach from the signal once settled', async() => {
+            let ch = new Channel();
+            let controller = abortable();
+            let take = ch.take({ signal: controller.signal });
+            assert.equal(controller.listeners(), 1);
+            await ch.put(1);
+            assert.equal(await take, 1);
+            assert.equal(controller.listeners(), 0);
+        });
+    });
+
+    describe('timeouts', () => {
+
+        it('should resolve a take with timeout when nothing arrives', async() => {
+            let ch = new Channel();
+            let take = ch.take({ timeout: 5 });
+            assert.equal(ch.takes.length, 1);
+            assert.equal(await take, Channel.TIMEOUT);
+            assert.empty(ch.takes);
+        });
+
+        it('should resolve a take with a value which arrives in time', async() => {
+            let ch = new Channel();
+            let take = ch.take({ timeout: 20 });
+            await ch.put(1);
+            assert.equal(await take, 1);
+        });
+
+        it('should resolve a blocked put with timeout', async() => {
+            let ch = new Channel(1);
+            await ch.put(1);
+            assert.equal(await ch.put(2, { timeout: 5 }), Channel.TIMEOUT);
+            assert.empty(ch.puts);
+            assert.equal(await ch.take(), 1);
+            assert.true(ch.empty());
+        });
+
+        it('should build a channel which closes after a delay', async() => {
+            let ch = new Channel();
+            let { value, index } = await Channel.select([ ch, Channel.timeout(5) ]);
+            assert.equal(value, Channel.DONE);
+            assert.equal(index, 1);
+            assert.empty(ch.takes);
+        });
+    });
+
+    describe('errors', () => {
+
+        it('should reject the failing put and fail the channel', async() => {
+            let err = new Error('bad value');
+            let ch = new Channel(x => {
+                if (x === 2)
+                    throw err;
+                return x;
+            });
+            let take1 = ch.take();
+            await ch.put(1);
+            assert.equal(await take1, 1);
+            let take2 = ch.take();
+            let take3 = ch.take();
+            assert.equal(await rejection(ch.put(2)), err);
+            assert.equal(ch.state, STATES.ERRORED);
+            assert.equal(ch.error, err);
+            assert.equal(await rejection(take2), err);
+            assert.equal(await rejection(take3), err);
+            assert.equal(await rejection(ch.take()), err);
+            assert.equal(await rejection(ch.put(3)), err);
+            assert.equal(await rejection(ch.done()), err);
+        });
+
+        it('should reject pending done promises', async() => {
+            let err = new Error('failed');
+            let ch = new Channel(4);
+            await ch.put(1);
+            let done = ch.done();
+            ch.fail(err);
+            assert.equal(await rejection(done), err);
+            assert.true(ch.empty());
+        });
+
+        it('should fail takes from a buffered channel', async() => {
+            let err = new Error('bad value');
+            let ch = new Channel(2, async x => {
+                if (x > 0)
+                    throw err;
+                return x;
+            });
+            await ch.put(1);
+            assert.equal(await rejection(ch.take()), err);
+            assert.equal(ch.state, STATES.ERRORED);
+        });
+
+        it('should forward errors down a pipe', async() => {
+            let err = new Error('bad value');
+            let ch1 = new Channel(() => {
+                throw err;
+            });
+            let ch2 = new Channel();
+            let ch3 = new Channel();
+            ch1.pipe(ch2).pipe(ch3);
+            assert.equal(await rejection(ch1.put(1)), err);
+            assert.equal(await rejection(ch3.take()), err);
+            assert.equal(ch2.state, STATES.ERRORED);
+            assert.equal(ch3.state, STATES.ERRORED);
+        });
+
+        it('should fail the channel when a consumer throws', async() => {
+            let err = new Error('bad consumer');
+            let ch = new Channel();
+            ch.consume(async x => {
+                if (x > 1)
+                    throw err;
+            });
+            await ch.put(1);
+            await ch.put(2);
+            assert.equal(await rejection(ch.done()), err);
+        });
+
+        it('can route failing values to an error channel', async() => {
+            let errors = new Channel(8);
+            let err = new Error('odd value');
+            let ch = new Channel(x => {
+                if (x % 2)
+                    throw err;
+                return x;
+            }, { errors });
+            ch.put(1);
+            ch.put(2);
+            ch.put(3);
+            ch.put(4);
+            assert.equal(await ch.take(), 2);
+            assert.equal(await ch.take(), 4);
+            assert.equal(ch.state, STATES.OPEN);
+            assert.equal(await errors.take(), { value: 1, error: err });
+            assert.equal(await errors.take(), { value: 3, error: err });
+        });
+    });
+
     describe('general use', () => {
 
         it('should not block indefinitely with synchronous produce + consume', async() => {
@@ -28,3 +28,6 @@ if (!wrapped && GLOBAL.it) { // better check to see if mocha is included?
         }
     }
 }
+
+// `virtual()` lives next to `marbles()`, which builds on it
+export { virtual } from '../../src/marbles.js';